@@ -0,0 +1,124 @@
+// Files attached to notes (photos, scans, PDFs...). Metadata always lives in storage; the bytes are kept
+// either on disk (ATTACHMENT_STORAGE=disk) or in the database itself (ATTACHMENT_STORAGE=database).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_ATTACHMENT_BYTES = (parseFloat(process.env.ATTACHMENT_MAX_MB) || 5) * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_NOTE = parseInt(process.env.ATTACHMENT_MAX_PER_NOTE, 10) || 5;
+
+function startsWith(data, bytes, offset = 0) {
+  return bytes.every((byte, index) => data[offset + index] === byte);
+}
+
+// Accepted types and a check that the file really is of that type (the browser's word for it is not enough).
+// SVG and HTML are left out on purpose: they can carry scripts.
+const ALLOWED_TYPES = {
+  'image/jpeg': data => startsWith(data, [0xff, 0xd8, 0xff]),
+  'image/png': data => startsWith(data, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  'image/gif': data => startsWith(data, Buffer.from('GIF8')),
+  'image/webp': data => startsWith(data, Buffer.from('RIFF')) && startsWith(data, Buffer.from('WEBP'), 8),
+  'application/pdf': data => startsWith(data, Buffer.from('%PDF')),
+  'text/plain': data => !data.includes(0)
+};
+
+// Keep file names safe for Content-Disposition headers and file systems
+function cleanFilename(filename) {
+  const base = path.basename(String(filename || '')).replace(/[^\w.\- ()]/g, '_').trim();
+  return base.slice(0, 200) || 'attachment';
+}
+
+function isImage(attachment) {
+  return attachment.contentType.startsWith('image/');
+}
+
+function createAttachmentStore({ storage, dir, location }) {
+  const filePath = id => path.join(dir, id);
+
+  // Validate and store an uploaded file. Returns { attachment } or { error, code, status }.
+  async function save({ note, filename, contentType, data }) {
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(ALLOWED_TYPES, type)) {
+      return { status: 415, code: 'unsupported_file_type', error: `Unsupported file type. Allowed types: ${Object.keys(ALLOWED_TYPES).join(', ')}` };
+    }
+    if (!data || data.length === 0) {
+      return { status: 400, code: 'empty_file', error: 'The uploaded file is empty' };
+    }
+    if (data.length > MAX_ATTACHMENT_BYTES) {
+      return { status: 413, code: 'too_large', error: `Attachments can be at most ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB` };
+    }
+    if (!ALLOWED_TYPES[type](data)) {
+      return { status: 415, code: 'unsupported_file_type', error: `The file does not look like ${type}` };
+    }
+    const existing = await storage.attachments.listForNotes([note.id]);
+    if (existing.length >= MAX_ATTACHMENTS_PER_NOTE) {
+      return { status: 400, code: 'too_many_attachments', error: `A note can have at most ${MAX_ATTACHMENTS_PER_NOTE} attachments` };
+    }
+
+    const attachment = {
+      id: crypto.randomUUID(),
+      noteId: note.id,
+      ownerId: note.ownerId || null,
+      filename: cleanFilename(filename),
+      contentType: type,
+      size: data.length,
+      location,
+      createdAt: new Date().toISOString()
+    };
+
+    if (location === 'disk') {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(filePath(attachment.id), data);
+    }
+    try {
+      await storage.attachments.create({ ...attachment, data: location === 'database' ? data : null });
+    } catch (error) {
+      if (location === 'disk') fs.rmSync(filePath(attachment.id), { force: true });
+      throw error;
+    }
+    return { attachment };
+  }
+
+  // The file's contents as a Buffer (null if it has gone missing)
+  async function read(attachment) {
+    if (attachment.location === 'disk') {
+      return fs.existsSync(filePath(attachment.id)) ? fs.readFileSync(filePath(attachment.id)) : null;
+    }
+    return storage.attachments.getData(attachment.id);
+  }
+
+  async function remove(attachment) {
+    await storage.attachments.delete(attachment.id);
+    if (attachment.location === 'disk') {
+      fs.rmSync(filePath(attachment.id), { force: true });
+    }
+  }
+
+  async function removeForNote(noteId) {
+    const attachments = await storage.attachments.listForNotes([noteId]);
+    for (const attachment of attachments) {
+      await remove(attachment);
+    }
+    return attachments.length;
+  }
+
+  // noteId -> attachments, for adding to API responses
+  async function groupByNote(noteIds) {
+    const grouped = {};
+    noteIds.forEach(id => { grouped[id] = []; });
+    (await storage.attachments.listForNotes(noteIds)).forEach(attachment => {
+      grouped[attachment.noteId].push(attachment);
+    });
+    return grouped;
+  }
+
+  return { save, read, remove, removeForNote, groupByNote };
+}
+
+module.exports = {
+  createAttachmentStore,
+  isImage,
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS_PER_NOTE,
+  ALLOWED_TYPES
+};
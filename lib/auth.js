@@ -0,0 +1,151 @@
+// Authentication helpers: password hashing and signed session cookies
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'tcd_session';
+const SESSION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Secret used to sign session cookies. Without a fixed secret every restart logs everybody out.
+let SESSION_SECRET = process.env.SESSION_SECRET || '';
+if (!SESSION_SECRET) {
+  SESSION_SECRET = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠ SESSION_SECRET not set. Using a random secret - users will be logged out when the server restarts.');
+}
+
+// Hash a password with scrypt and a random salt ("scrypt:<salt>:<hash>")
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+      if (err) return reject(err);
+      resolve(`scrypt:${salt}:${derivedKey.toString('hex')}`);
+    });
+  });
+}
+
+// Check a password against a hash produced by hashPassword
+function verifyPassword(password, storedHash) {
+  return new Promise((resolve, reject) => {
+    const [scheme, salt, hash] = String(storedHash || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return resolve(false);
+    }
+    crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+      if (err) return reject(err);
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+    });
+  });
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(value).digest('base64url');
+}
+
+// timingSafeEqual needs buffers of the same byte length - a token with multibyte characters can have the
+// right number of characters but not of bytes
+function matchesSignature(token, expected) {
+  if (typeof token !== 'string') return false;
+  const tokenBytes = Buffer.from(token);
+  const expectedBytes = Buffer.from(expected);
+  return tokenBytes.length === expectedBytes.length && crypto.timingSafeEqual(tokenBytes, expectedBytes);
+}
+
+// Session token format: <userId base64url>.<expires ms>.<signature>. The signature is over "session:<payload>",
+// so a token signed for something else (like "confirm:<email>" in an email link) can't pass as a session.
+function createSessionToken(userId) {
+  const expires = Date.now() + SESSION_MAX_AGE_MS;
+  const payload = `${Buffer.from(String(userId)).toString('base64url')}.${expires}`;
+  return `${payload}.${sign(`session:${payload}`)}`;
+}
+
+// Returns the user id stored in a session token, or null if it is invalid or expired
+function readSessionToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [encodedId, expires, signature] = parts;
+  if (!matchesSignature(signature, sign(`session:${encodedId}.${expires}`))) {
+    return null;
+  }
+  // An expiry that isn't a number would never be in the past
+  if (!Number.isFinite(Number(expires)) || Number(expires) < Date.now()) return null;
+
+  return Buffer.from(encodedId, 'base64url').toString('utf8');
+}
+
+// Token for the link in a capsule email that lets whoever has the email fetch the (encrypted) note without logging in.
+// It doesn't expire - the note itself is only readable with the passphrase.
+function createCapsuleToken(noteId) {
+  return sign(`capsule:${noteId}`);
+}
+
+function verifyCapsuleToken(noteId, token) {
+  return matchesSignature(token, createCapsuleToken(noteId));
+}
+
+// Tokens for the links in emails that act on the address they were sent to: action is 'confirm' (double opt-in)
+// or 'unsubscribe'. Like capsule links they don't expire, so an old email can always be used to unsubscribe.
+function createEmailToken(action, email) {
+  return sign(`${action}:${String(email).toLowerCase()}`);
+}
+
+function verifyEmailToken(action, email, token) {
+  return matchesSignature(token, createEmailToken(action, email));
+}
+
+// Token for the reply link in a capsule email sent to one of the note's recipients: it lets that address write back
+// to the note's writer without an account. It doesn't expire either - the writer decides whether replies are allowed.
+function createReplyToken(noteId, email) {
+  return sign(`reply:${noteId}:${String(email).toLowerCase()}`);
+}
+
+function verifyReplyToken(noteId, email, token) {
+  return matchesSignature(token, createReplyToken(noteId, email));
+}
+
+// Parse the Cookie request header into an object
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+  header.split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index === -1) return;
+    const name = pair.slice(0, index).trim();
+    const value = pair.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  });
+  return cookies;
+}
+
+// Build the Set-Cookie header value for a new session
+function sessionCookie(token, secure) {
+  const maxAge = Math.floor(SESSION_MAX_AGE_MS / 1000);
+  return `${SESSION_COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure ? '; Secure' : ''}`;
+}
+
+// Build the Set-Cookie header value that removes the session
+function clearSessionCookie(secure) {
+  return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0${secure ? '; Secure' : ''}`;
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  hashPassword,
+  verifyPassword,
+  createSessionToken,
+  readSessionToken,
+  createCapsuleToken,
+  verifyCapsuleToken,
+  createEmailToken,
+  verifyEmailToken,
+  createReplyToken,
+  verifyReplyToken,
+  parseCookies,
+  sessionCookie,
+  clearSessionCookie
+};
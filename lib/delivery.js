@@ -0,0 +1,327 @@
+// Delivery date helpers: when should a time capsule note be emailed back?
+// Capsules go out at DELIVERY_HOUR in the writer's timezone (the IANA name their browser reported when the
+// note was saved), so "in one year" means that hour on the same calendar date next year, wherever they are.
+
+// Presets offered by the note form (and accepted as `deliverIn` by the API)
+const DELIVERY_PRESETS = {
+  '1-month': { months: 1 },
+  '6-months': { months: 6 },
+  '1-year': { years: 1 },
+  '5-years': { years: 5 },
+  '10-years': { years: 10 }
+};
+
+const DEFAULT_DELIVERY_PRESET = '1-year';
+
+// A note can be delivered at most this many times, not counting the yearly repeats
+const MAX_DELIVERIES = 10;
+
+// Is this an IANA timezone name (e.g. "Europe/Berlin") that Intl knows?
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Local hour (0-23) that capsules are delivered at
+const DELIVERY_HOUR = /^\d+$/.test(process.env.DELIVERY_HOUR || '') && Number(process.env.DELIVERY_HOUR) <= 23
+  ? Number(process.env.DELIVERY_HOUR)
+  : 9;
+
+// Timezone for notes that don't have one (written before timezones were recorded, or by API clients that leave it out)
+const DEFAULT_TIMEZONE = isValidTimeZone(process.env.DEFAULT_TIMEZONE)
+  ? process.env.DEFAULT_TIMEZONE
+  : Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const formatters = new Map();
+
+// The calendar date and wall clock time of an instant in a timezone: { year, month (1-12), day, hour, minute, second }
+function localTime(date, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  const parts = {};
+  formatters.get(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+}
+
+// The instant a wall clock time happens in a timezone. Times skipped by a daylight saving change come out an hour later.
+function zonedTime({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = instant => {
+    const local = localTime(instant, timeZone);
+    return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) - Math.floor(instant / 1000) * 1000;
+  };
+  // The offset at a first guess can be off by the daylight saving difference, so check it again at the result
+  const guess = wallClock - offsetAt(wallClock);
+  return new Date(wallClock - offsetAt(guess));
+}
+
+// Add whole calendar months/years to a date (Jan 31 + 1 month clamps to the end of February)
+function addToDate(date, { years = 0, months = 0 }) {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months + years * 12);
+  const lastDayOfMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDayOfMonth));
+  return result;
+}
+
+// The same, for a calendar date { year, month, day }. The same date next year is the same month and day, except
+// that Feb 29 becomes Feb 28 in years that aren't leap years (and Feb 29 again four years on).
+function addToCalendarDate({ year, month, day }, { years = 0, months = 0, days = 0 }) {
+  const target = new Date(Date.UTC(year, month - 1 + months + years * 12, 1));
+  const lastDayOfMonth = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDayOfMonth) + days);
+  return { year: target.getUTCFullYear(), month: target.getUTCMonth() + 1, day: target.getUTCDate() };
+}
+
+// A `deliverOn` date ("2027-05-01") as { year, month, day }, or null if it isn't a real calendar date
+function parseCalendarDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? { year, month, day } : null;
+}
+
+// The timezone a note's delivery time is worked out in
+function noteTimeZone(note) {
+  return note && isValidTimeZone(note.timezone) ? note.timezone : DEFAULT_TIMEZONE;
+}
+
+// When a capsule for this calendar date goes out: DELIVERY_HOUR on that day in the timezone
+function deliveryTime(calendarDate, timeZone = DEFAULT_TIMEZONE) {
+  return zonedTime({ ...calendarDate, hour: DELIVERY_HOUR }, timeZone);
+}
+
+// The first delivery time at or after a date
+function nextDeliveryTime(date, timeZone = DEFAULT_TIMEZONE) {
+  const today = localTime(date, timeZone);
+  const sameDay = deliveryTime(today, timeZone);
+  return sameDay >= new Date(date) ? sameDay : deliveryTime(addToCalendarDate(today, { days: 1 }), timeZone);
+}
+
+// Delivery time of { years, months }, counted from the calendar date `from` falls on in the timezone
+function presetTime(from, preset, timeZone) {
+  return deliveryTime(addToCalendarDate(localTime(from, timeZone), preset), timeZone);
+}
+
+// The same for one of DELIVERY_PRESETS
+function presetDeliveryTime(from, preset, timeZone = DEFAULT_TIMEZONE) {
+  return presetTime(from, DELIVERY_PRESETS[preset], timeZone);
+}
+
+// `deliverIn` as a list of presets: one preset, or a list of them (["1-year", "5-years"]). Returns { value } or { error }.
+function parseDeliverIn(value) {
+  const presets = Array.isArray(value) ? value : [value];
+  if (presets.length === 0 || presets.length > MAX_DELIVERIES) {
+    return { error: `deliverIn must list between 1 and ${MAX_DELIVERIES} presets` };
+  }
+  if (!presets.every(preset => Object.prototype.hasOwnProperty.call(DELIVERY_PRESETS, preset))) {
+    return { error: `deliverIn must be one of: ${Object.keys(DELIVERY_PRESETS).join(', ')}` };
+  }
+  return { value: [...new Set(presets)] };
+}
+
+// Work out the delivery dates from a request body. Any of these can be given, and each adds a delivery:
+// `deliverAt` (an exact ISO date and time), `deliverOn` (a calendar date, "2027-05-01", delivered at DELIVERY_HOUR)
+// and `deliverIn` (presets from DELIVERY_PRESETS, counted from `from`). Dates are calendar dates in `timeZone`.
+// Without any of them the note is delivered once, after DEFAULT_DELIVERY_PRESET.
+// Returns { deliveries } with ISO strings, soonest first, or { error } if the input is not usable.
+function resolveDeliveries({ deliverAt, deliverOn, deliverIn } = {}, from = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const given = value => value !== undefined && value !== null && value !== '';
+  const dates = [];
+
+  if (given(deliverAt)) {
+    const date = new Date(deliverAt);
+    if (typeof deliverAt !== 'string' || isNaN(date.getTime())) {
+      return { error: 'deliverAt must be a valid date' };
+    }
+    if (date.getTime() <= Date.now()) {
+      return { error: 'deliverAt must be in the future' };
+    }
+    dates.push(date);
+  }
+
+  if (given(deliverOn)) {
+    const calendarDate = parseCalendarDate(deliverOn);
+    if (!calendarDate) {
+      return { error: 'deliverOn must be a date like 2027-05-01' };
+    }
+    const date = deliveryTime(calendarDate, timeZone);
+    if (date.getTime() <= Date.now()) {
+      return { error: 'deliverOn must be in the future' };
+    }
+    dates.push(date);
+  }
+
+  if (given(deliverIn) || dates.length === 0) {
+    const presets = parseDeliverIn(given(deliverIn) ? deliverIn : DEFAULT_DELIVERY_PRESET);
+    if (presets.error) return presets;
+    presets.value.forEach(preset => dates.push(presetDeliveryTime(from, preset, timeZone)));
+  }
+
+  const deliveries = [...new Set(dates.map(date => date.toISOString()))].sort();
+  if (deliveries.length > MAX_DELIVERIES) {
+    return { error: `deliverIn can't add up to more than ${MAX_DELIVERIES} deliveries` };
+  }
+  return { deliveries };
+}
+
+// The first anniversary of writing the note after a date, at DELIVERY_HOUR - for notes that repeat every year
+function nextAnniversary(note, after) {
+  const timeZone = noteTimeZone(note);
+  const written = localTime(note.createdAt, timeZone);
+  let years = Math.max(1, localTime(after, timeZone).year - written.year);
+  while (presetTime(note.createdAt, { years }, timeZone) <= new Date(after)) {
+    years++;
+  }
+  return presetTime(note.createdAt, { years }, timeZone);
+}
+
+// A note's deliveries, soonest first: [{ deliverAt, sentAt, yearly }]. yearly marks the ones added by repeatYearly.
+// Notes that haven't been given any have one, on getDeliverAt.
+function getDeliveries(note) {
+  const deliveries = Array.isArray(note.deliveries) && note.deliveries.length > 0
+    ? note.deliveries
+    : [{ deliverAt: getDeliverAt(note), sentAt: note.emailSent ? getDeliverAt(note) : null }];
+  return deliveries
+    .map(item => ({
+      deliverAt: new Date(item.deliverAt).toISOString(),
+      sentAt: item.sentAt ? new Date(item.sentAt).toISOString() : null,
+      yearly: !!item.yearly
+    }))
+    .sort(bySoonest);
+}
+
+function bySoonest(a, b) {
+  return new Date(a.deliverAt) - new Date(b.deliverAt);
+}
+
+// The next delivery that hasn't gone out, or null
+function nextDelivery(note) {
+  return getDeliveries(note).find(item => !item.sentAt) || null;
+}
+
+// Deliveries after picking new dates: the ones that went out stay, the ones still waiting are replaced
+function rescheduled(deliveries, dates) {
+  const sent = deliveries.filter(item => item.sentAt);
+  const waiting = dates
+    .filter(date => !sent.some(item => item.deliverAt === date))
+    .map(deliverAt => ({ deliverAt, sentAt: null, yearly: false }));
+  return [...sent, ...waiting].sort(bySoonest);
+}
+
+// Deliveries after the capsule email went out: the ones that were due are sent - or, when it was sent early, the next one
+function markSent(deliveries, sentAt = new Date()) {
+  const unsent = deliveries.filter(item => !item.sentAt);
+  const due = unsent.filter(item => new Date(item.deliverAt) <= sentAt);
+  return deliveries.map(item => ((due.length > 0 ? due : unsent.slice(0, 1)).includes(item) ? { ...item, sentAt: sentAt.toISOString() } : item));
+}
+
+// Deliveries for a note sent on to a new address: the last one that went out is waiting again
+function resendLast(deliveries) {
+  const last = deliveries.filter(item => item.sentAt).pop();
+  return deliveries.map(item => (item === last ? { ...item, sentAt: null, yearly: false } : item));
+}
+
+// { deliveries, emailSent } for notes.update. A repeating note always has its next anniversary waiting once the
+// other deliveries have gone out, and one that stopped repeating loses the anniversary it was waiting for.
+function deliveriesChanges(note, deliveries, now = new Date()) {
+  let result = note.repeatYearly ? deliveries : deliveries.filter(item => item.sentAt || !item.yearly);
+  if (note.repeatYearly && !result.some(item => !item.sentAt)) {
+    const last = result.length > 0 ? new Date(result[result.length - 1].deliverAt) : now;
+    const next = nextAnniversary(note, last > now ? last : now);
+    result = [...result, { deliverAt: next.toISOString(), sentAt: null, yearly: true }];
+  }
+  return { deliveries: result, emailSent: !result.some(item => !item.sentAt) };
+}
+
+// Changes to a note once its capsule email went out
+function recordSent(note, sentAt = new Date()) {
+  return deliveriesChanges(note, markSent(getDeliveries(note), sentAt), sentAt);
+}
+
+// Delivery date of a stored note. Notes saved before delivery dates existed were always one year out.
+function getDeliverAt(note) {
+  if (note.deliverAt) {
+    return new Date(note.deliverAt);
+  }
+  return presetDeliveryTime(note.createdAt, DEFAULT_DELIVERY_PRESET, noteTimeZone(note));
+}
+
+// Has the note's delivery date arrived?
+function isDue(note, now = new Date()) {
+  return getDeliverAt(note).getTime() <= now.getTime();
+}
+
+// Is the note sealed and still waiting for its delivery date? Locked notes can't be read or edited.
+function isLocked(note, now = new Date()) {
+  return !!note.sealed && !isDue(note, now);
+}
+
+// Human friendly "how long ago" for email subjects, e.g. "one year ago" or "6 months ago", by the calendar in the timezone
+function describeTimeSince(date, now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const start = localTime(date, timeZone);
+  const end = localTime(now, timeZone);
+  let months = (end.year - start.year) * 12 + (end.month - start.month);
+  if (end.day < start.day) months--;
+
+  if (months >= 12) {
+    const years = Math.floor(months / 12);
+    return years === 1 ? 'one year ago' : `${years} years ago`;
+  }
+  if (months >= 1) {
+    return months === 1 ? 'one month ago' : `${months} months ago`;
+  }
+  const days = Math.max(0, Math.floor((new Date(now) - new Date(date)) / (1000 * 60 * 60 * 24)));
+  return days === 1 ? 'one day ago' : `${days} days ago`;
+}
+
+function formatLongDate(date, timeZone = DEFAULT_TIMEZONE) {
+  return new Date(date).toLocaleDateString('en-US', { timeZone, year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+module.exports = {
+  DELIVERY_PRESETS,
+  DEFAULT_DELIVERY_PRESET,
+  DELIVERY_HOUR,
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  parseCalendarDate,
+  addToDate,
+  addToCalendarDate,
+  noteTimeZone,
+  nextDeliveryTime,
+  MAX_DELIVERIES,
+  parseDeliverIn,
+  resolveDeliveries,
+  getDeliverAt,
+  getDeliveries,
+  nextDelivery,
+  rescheduled,
+  resendLast,
+  deliveriesChanges,
+  recordSent,
+  isDue,
+  isLocked,
+  describeTimeSince,
+  formatLongDate
+};
@@ -0,0 +1,368 @@
+// Export and import of a whole diary: notes and unsent notes as JSON, as a zip of Markdown files
+// (one per note, with its details in front matter) or as one CSV file. Imports accept the same formats.
+const delivery = require('./delivery');
+const labels = require('./labels');
+const { parseRecipients } = require('./recipients');
+const { EMAIL_PATTERN, MAX_EMAIL_LENGTH } = require('./validation');
+const { isEncrypted } = require('../public/e2e');
+const { createZip, readZip } = require('./zip');
+
+const EXPORT_FORMATS = {
+  json: { extension: 'json', contentType: 'application/json' },
+  markdown: { extension: 'zip', contentType: 'application/zip' },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' }
+};
+
+// Version of the JSON export layout, in case it ever has to change
+const EXPORT_VERSION = 1;
+
+const CSV_COLUMNS = ['type', 'id', 'name', 'email', 'recipients', 'allowReplies', 'inReplyTo', 'replyFrom', 'createdAt', 'updatedAt', 'deliverAt', 'deliveries', 'repeatYearly', 'timezone', 'emailSent', 'sealed', 'encrypted', 'tags', 'mood', 'content'];
+
+function toIso(date) {
+  return date ? new Date(date).toISOString() : null;
+}
+
+// The fields of a note that go into an export
+function exportedNote(note) {
+  return {
+    id: note.id,
+    name: note.name || null,
+    email: note.email || null,
+    recipients: note.recipients || [],
+    allowReplies: !!note.allowReplies,
+    // Replies other people wrote back: the note they answer and who wrote them
+    inReplyTo: note.inReplyTo || null,
+    replyFrom: note.replyFrom || null,
+    content: note.content,
+    createdAt: toIso(note.createdAt),
+    updatedAt: toIso(note.updatedAt || note.createdAt),
+    deliverAt: toIso(delivery.getDeliverAt(note)),
+    deliveries: delivery.getDeliveries(note),
+    repeatYearly: !!note.repeatYearly,
+    timezone: note.timezone || null,
+    emailSent: !!note.emailSent,
+    sealed: !!note.sealed,
+    // Encrypted notes are exported as ciphertext - they need the passphrase to be read again
+    encrypted: !!note.encrypted,
+    tags: note.tags || [],
+    mood: note.mood || null
+  };
+}
+
+function exportedUnsentNote(note) {
+  return {
+    id: note.id,
+    name: note.name || null,
+    email: note.email || null,
+    content: note.content,
+    createdAt: toIso(note.createdAt)
+  };
+}
+
+// Markdown file with the note's details as front matter. Values are written as JSON, which YAML readers understand too.
+function toMarkdownFile(type, note) {
+  const frontMatter = Object.entries({ type, ...note })
+    .filter(([key]) => key !== 'content')
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+    .join('\n');
+  return `---\n${frontMatter}\n---\n\n${note.content}\n`;
+}
+
+function markdownFileName(folder, note) {
+  const day = (note.createdAt || '').slice(0, 10) || 'undated';
+  return `${folder}/${day}-${String(note.id).replace(/[^\w-]/g, '_')}.md`;
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : Array.isArray(value) ? value.join(', ') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Build the download for a diary: { filename, contentType, body }
+function exportDiary({ notes, unsentNotes }, format, now = new Date()) {
+  const exported = {
+    notes: notes.map(exportedNote),
+    unsentNotes: unsentNotes.map(exportedUnsentNote)
+  };
+  const { extension, contentType } = EXPORT_FORMATS[format];
+  const filename = `time-capsule-diary-${now.toISOString().slice(0, 10)}.${extension}`;
+
+  if (format === 'markdown') {
+    const files = [
+      ...exported.notes.map(note => ({ name: markdownFileName('notes', note), content: toMarkdownFile('note', note), date: note.updatedAt })),
+      ...exported.unsentNotes.map(note => ({ name: markdownFileName('unsent-notes', note), content: toMarkdownFile('unsent', note), date: note.createdAt }))
+    ];
+    return { filename, contentType, body: createZip(files) };
+  }
+
+  if (format === 'csv') {
+    // Deliveries go into their cell as JSON
+    const rows = [
+      ...exported.notes.map(note => ({ type: 'note', ...note, deliveries: JSON.stringify(note.deliveries) })),
+      ...exported.unsentNotes.map(note => ({ type: 'unsent', ...note }))
+    ];
+    const lines = [CSV_COLUMNS.join(','), ...rows.map(row => CSV_COLUMNS.map(column => csvCell(row[column])).join(','))];
+    return { filename, contentType, body: `${lines.join('\r\n')}\r\n` };
+  }
+
+  return {
+    filename,
+    contentType,
+    body: JSON.stringify({ version: EXPORT_VERSION, exportedAt: now.toISOString(), ...exported }, null, 2)
+  };
+}
+
+// Front matter values are JSON when this app wrote them, but hand-written files may use plain text
+function parseFrontMatterValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// One Markdown file -> { type, note }. Files without front matter become a note with the whole file as content.
+function parseMarkdownFile(name, text) {
+  const type = name.split('/').includes('unsent-notes') ? 'unsent' : 'note';
+  const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const match = normalized.match(/^---\n([\s\S]*?)\n---\n?([\s\S]*)$/);
+  if (!match) {
+    return { type, note: { content: normalized } };
+  }
+
+  const note = {};
+  match[1].split('\n').forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      note[line.slice(0, separator).trim()] = parseFrontMatterValue(line.slice(separator + 1).trim());
+    }
+  });
+  note.content = match[2];
+  return { type: note.type === 'unsent' ? 'unsent' : type, note };
+}
+
+// RFC 4180 CSV -> array of rows (arrays of strings)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value !== ''));
+}
+
+// Read an uploaded export. Returns { notes, unsentNotes } with the raw records, or { error }.
+function parseImport(format, buffer, { maxBytes } = {}) {
+  try {
+    if (format === 'markdown') {
+      const parsed = { notes: [], unsentNotes: [] };
+      readZip(buffer, { maxBytes })
+        .filter(file => file.name.toLowerCase().endsWith('.md'))
+        .forEach(file => {
+          const { type, note } = parseMarkdownFile(file.name, file.content.toString('utf8'));
+          (type === 'unsent' ? parsed.unsentNotes : parsed.notes).push(note);
+        });
+      return parsed;
+    }
+
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+    if (format === 'csv') {
+      const [header, ...rows] = parseCsv(text);
+      if (!header || !header.includes('content')) {
+        return { error: 'The CSV file needs a header row with at least a content column' };
+      }
+      const parsed = { notes: [], unsentNotes: [] };
+      rows.forEach(cells => {
+        const record = {};
+        header.forEach((column, index) => {
+          record[column.trim()] = cells[index] === undefined ? '' : cells[index];
+        });
+        (record.type === 'unsent' ? parsed.unsentNotes : parsed.notes).push(record);
+      });
+      return parsed;
+    }
+
+    const data = JSON.parse(text);
+    // A plain array of notes is accepted too
+    if (Array.isArray(data)) {
+      return { notes: data, unsentNotes: [] };
+    }
+    if (!data || typeof data !== 'object' || (!Array.isArray(data.notes) && !Array.isArray(data.unsentNotes))) {
+      return { error: 'The JSON file needs a notes or unsentNotes list' };
+    }
+    return { notes: data.notes || [], unsentNotes: data.unsentNotes || [] };
+  } catch (error) {
+    return { error: `Could not read the ${format} file: ${error.message}` };
+  }
+}
+
+function importedString(value) {
+  return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+}
+
+function importedDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function importedBoolean(value) {
+  return value === true || value === 'true';
+}
+
+// An email address, or none. Returns { email } or { error }.
+function importedEmail(value) {
+  const email = importedString(value);
+  if (email && (email.length > MAX_EMAIL_LENGTH || !EMAIL_PATTERN.test(email))) {
+    return { error: `"${email}" is not a valid email address` };
+  }
+  return { email };
+}
+
+// A list of deliveries - from CSV as JSON text. Returns { deliveries } (undefined when there is no list) or { error }.
+function importedDeliveries(value) {
+  if (value === undefined || value === null || value === '') return {};
+  let list = value;
+  if (typeof value === 'string') {
+    try {
+      list = JSON.parse(value);
+    } catch (error) {
+      return { error: 'deliveries must be a JSON list' };
+    }
+  }
+  if (!Array.isArray(list) || list.length === 0) return {};
+  const deliveries = list.map(item => item && typeof item === 'object'
+    ? { deliverAt: importedDate(item.deliverAt), sentAt: importedDate(item.sentAt), yearly: importedBoolean(item.yearly) }
+    : { deliverAt: null });
+  if (deliveries.some(item => !item.deliverAt)) {
+    return { error: 'every delivery needs a valid deliverAt date' };
+  }
+  if (deliveries.filter(item => !item.yearly).length > delivery.MAX_DELIVERIES) {
+    return { error: `a note can have at most ${delivery.MAX_DELIVERIES} deliveries` };
+  }
+  const unique = deliveries.filter((item, index) => deliveries.findIndex(other => other.deliverAt === item.deliverAt) === index);
+  return { deliveries: delivery.getDeliveries({ deliveries: unique }) };
+}
+
+// Turn an imported record into a note for storage. Returns { note } or { error }.
+function prepareImportedNote(record, { id, ownerId, now = new Date() }) {
+  if (!record || typeof record !== 'object' || typeof record.content !== 'string' || record.content.trim() === '') {
+    return { error: 'note has no content' };
+  }
+  const tags = labels.parseTags(record.tags === '' ? undefined : record.tags);
+  const mood = labels.parseMood(record.mood);
+  if (tags.error || mood.error) {
+    return { error: tags.error || mood.error };
+  }
+
+  const email = importedEmail(record.email);
+  if (email.error) {
+    return { error: email.error };
+  }
+  const recipients = parseRecipients(record.recipients);
+  if (recipients.error) {
+    return { error: recipients.error };
+  }
+
+  const createdAt = importedDate(record.createdAt) || now.toISOString();
+  // An unknown timezone isn't worth skipping the note for - it gets the default one
+  const timezone = delivery.isValidTimeZone(importedString(record.timezone)) ? importedString(record.timezone) : null;
+  // Notes without a delivery date get the default one, counted from when they were written
+  const deliverAt = importedDate(record.deliverAt) || delivery.getDeliverAt({ createdAt, timezone }).toISOString();
+  const deliveries = importedDeliveries(record.deliveries);
+  if (deliveries.error) {
+    return { error: deliveries.error };
+  }
+  const repeatYearly = importedBoolean(record.repeatYearly);
+  // Without a list of deliveries (older backups) the note has one, sent if its email went out
+  const schedule = deliveries.deliveries
+    ? delivery.deliveriesChanges({ createdAt, timezone, repeatYearly }, deliveries.deliveries, now)
+    : { deliveries: delivery.getDeliveries({ deliverAt, emailSent: importedBoolean(record.emailSent) }), emailSent: importedBoolean(record.emailSent) };
+  return {
+    note: {
+      id,
+      ownerId,
+      content: record.content.trim(),
+      author: 'Anonymous',
+      name: importedString(record.name),
+      email: email.email,
+      recipients: recipients.recipients,
+      allowReplies: importedBoolean(record.allowReplies),
+      inReplyTo: importedString(record.inReplyTo),
+      replyFrom: importedString(record.replyFrom),
+      emailSent: schedule.emailSent,
+      deliverAt: deliveries.deliveries ? schedule.deliveries[0].deliverAt : deliverAt,
+      deliveries: schedule.deliveries,
+      repeatYearly,
+      timezone,
+      sealed: importedBoolean(record.sealed),
+      encrypted: isEncrypted(record.content.trim()),
+      tags: tags.tags,
+      mood: mood.mood,
+      createdAt,
+      updatedAt: importedDate(record.updatedAt) || createdAt
+    }
+  };
+}
+
+function prepareImportedUnsentNote(record, { id, ownerId, now = new Date() }) {
+  if (!record || typeof record !== 'object' || typeof record.content !== 'string' || record.content.trim() === '') {
+    return { error: 'unsent note has no content' };
+  }
+  // Sending an unsent note emails this address, so it is checked like a note's
+  const email = importedEmail(record.email);
+  if (email.error) {
+    return { error: email.error };
+  }
+  return {
+    note: {
+      id,
+      ownerId,
+      content: record.content.trim(),
+      name: importedString(record.name),
+      email: email.email,
+      createdAt: importedDate(record.createdAt) || now.toISOString()
+    }
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportDiary,
+  parseImport,
+  parseCsv,
+  parseMarkdownFile,
+  prepareImportedNote,
+  prepareImportedUnsentNote
+};
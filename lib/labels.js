@@ -0,0 +1,57 @@
+// Tags and moods: labels for grouping notes (by project, by how the day felt...)
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+// Moods a note can be labelled with, and how the diary shows them
+const MOODS = {
+  happy: '😊',
+  excited: '🤩',
+  grateful: '🙏',
+  calm: '😌',
+  hopeful: '🌱',
+  proud: '💪',
+  tired: '😴',
+  anxious: '😟',
+  sad: '😢',
+  angry: '😠'
+};
+
+// Turn one tag into its stored form: lowercase, with spaces as dashes ("Project X" -> "project-x")
+function normalizeTag(tag) {
+  return String(tag).trim().toLowerCase().replace(/^#+/, '').replace(/\s+/g, '-');
+}
+
+// Tags from a request body: an array or a comma separated string. Returns { tags } or { error }.
+function parseTags(value) {
+  if (value === undefined || value === null || value === '') {
+    return { tags: [] };
+  }
+  const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : null;
+  if (!list || list.some(tag => typeof tag !== 'string')) {
+    return { error: 'tags must be a list of words or a comma separated string' };
+  }
+
+  const tags = [...new Set(list.map(normalizeTag).filter(Boolean))];
+  if (tags.length > MAX_TAGS) {
+    return { error: `A note can have at most ${MAX_TAGS} tags` };
+  }
+  const invalid = tags.find(tag => tag.length > MAX_TAG_LENGTH || !/^[\p{L}\p{N}_-]+$/u.test(tag));
+  if (invalid) {
+    return { error: `Tags can only use letters, numbers, - and _ and be at most ${MAX_TAG_LENGTH} characters ("${invalid}")` };
+  }
+  return { tags: tags.sort() };
+}
+
+// Mood from a request body. Returns { mood } (null for no mood) or { error }.
+function parseMood(value) {
+  if (value === undefined || value === null || value === '') {
+    return { mood: null };
+  }
+  if (typeof value !== 'string' || !Object.prototype.hasOwnProperty.call(MOODS, value)) {
+    return { error: `mood must be one of: ${Object.keys(MOODS).join(', ')}` };
+  }
+  return { mood: value };
+}
+
+module.exports = { MOODS, MAX_TAGS, normalizeTag, parseTags, parseMood };
@@ -0,0 +1,25 @@
+// Prints every email to the server log instead of sending it
+const crypto = require('crypto');
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    description: 'Console (emails are printed, not sent)',
+
+    async send(message) {
+      console.log('--- Email ---------------------------------------');
+      console.log(`From:    ${message.from}`);
+      console.log(`To:      ${message.to}`);
+      console.log(`Subject: ${message.subject}`);
+      console.log('');
+      console.log(String(message.text || '').trim());
+      (message.attachments || []).forEach(attachment => {
+        console.log(`[attachment: ${attachment.filename}, ${attachment.content.length} bytes]`);
+      });
+      console.log('-------------------------------------------------');
+      return { id: crypto.randomUUID() };
+    }
+  };
+}
+
+module.exports = { createConsoleTransport };
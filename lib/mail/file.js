@@ -0,0 +1,25 @@
+// Writes every email to a .eml file instead of sending it. For development and tests:
+// open the files with any mail client to see exactly what would have been sent.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+function createFileTransport({ dir }) {
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    name: 'file',
+    description: `.eml files in ${dir}`,
+
+    async send(message) {
+      const info = await composer.sendMail(message);
+      fs.mkdirSync(dir, { recursive: true });
+      const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+      fs.writeFileSync(path.join(dir, filename), info.message);
+      return { id: info.messageId, file: path.join(dir, filename) };
+    }
+  };
+}
+
+module.exports = { createFileTransport };
@@ -0,0 +1,43 @@
+// Mail transports. Every transport exposes the same interface:
+//   name, description
+//   send({ from, replyTo, to, subject, html, text }) -> { id }, throws if the email was not accepted
+const path = require('path');
+const { createResendTransport } = require('./resend');
+const { createSmtpTransport } = require('./smtp');
+const { createFileTransport } = require('./file');
+const { createConsoleTransport } = require('./console');
+
+// Pick a transport from MAIL_TRANSPORT, defaulting to Resend when RESEND_API_KEY is set.
+// Returns null when email is not configured.
+function createMailTransport({ dataDir }) {
+  const name = (process.env.MAIL_TRANSPORT || (process.env.RESEND_API_KEY ? 'resend' : '')).toLowerCase();
+
+  switch (name) {
+    case '':
+      return null;
+    case 'resend':
+      if (!process.env.RESEND_API_KEY) {
+        throw new Error('MAIL_TRANSPORT=resend needs RESEND_API_KEY to be set');
+      }
+      return createResendTransport({ apiKey: process.env.RESEND_API_KEY });
+    case 'smtp':
+      if (!process.env.SMTP_HOST) {
+        throw new Error('MAIL_TRANSPORT=smtp needs SMTP_HOST to be set');
+      }
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER || '',
+        pass: process.env.SMTP_PASS || ''
+      });
+    case 'file':
+      return createFileTransport({ dir: process.env.MAIL_DIR || path.join(dataDir, 'mail') });
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected resend, smtp, file or console)`);
+  }
+}
+
+module.exports = { createMailTransport };
@@ -0,0 +1,21 @@
+// Resend API transport - https://resend.com
+const { Resend } = require('resend');
+
+function createResendTransport({ apiKey }) {
+  const resend = new Resend(apiKey);
+
+  return {
+    name: 'resend',
+    description: 'Resend',
+
+    async send(message) {
+      const { data, error } = await resend.emails.send(message);
+      if (error) {
+        throw new Error(error.message || 'Resend rejected the email');
+      }
+      return { id: data && data.id };
+    }
+  };
+}
+
+module.exports = { createResendTransport };
@@ -0,0 +1,28 @@
+// Generic SMTP transport (any mail provider, or a local relay)
+const nodemailer = require('nodemailer');
+
+function createSmtpTransport({ host, port, secure, user, pass }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    description: `SMTP (${host}:${port})`,
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    },
+
+    // Check the connection and credentials without sending anything
+    async verify() {
+      await transporter.verify();
+    }
+  };
+}
+
+module.exports = { createSmtpTransport };
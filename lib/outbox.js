@@ -0,0 +1,140 @@
+// Durable email outbox. Emails are queued in storage first and sent by a worker,
+// which retries failures with exponential backoff instead of dropping them.
+const crypto = require('crypto');
+const { noteAddresses } = require('./recipients');
+
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 12;
+const BASE_RETRY_DELAY_MS = 60 * 1000; // 1 minute, then 2, 4, 8...
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000; // never wait more than 6 hours between attempts
+
+function retryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+// senders: { <email type>: async (note, entry) => {} } - throw to report a failed send
+// checkRecipient: async entry => why the email must not go to its recipient (it is cancelled), or null to send it
+function createOutbox({ storage, senders, checkRecipient = async () => null }) {
+  let running = null;
+
+  // Queue an email about a note, to the note's own address unless another recipient is given.
+  // Pass the repositories of a transaction to queue it atomically with other changes.
+  async function enqueue({ type, note, recipient = note.email }, repos = storage) {
+    const now = new Date().toISOString();
+    return repos.outbox.create({
+      id: crypto.randomUUID(),
+      type,
+      recipient,
+      noteId: note.id,
+      ownerId: note.ownerId || null,
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: now,
+      sentAt: null,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  // Is an email of this type already waiting to go out for the note (to this recipient, if one is given)?
+  async function hasPending(noteId, type, recipient) {
+    const entries = await storage.outbox.listForNote(noteId);
+    return entries.some(e => e.type === type && e.status === 'pending' && (!recipient || e.recipient.toLowerCase() === recipient.toLowerCase()));
+  }
+
+  // Try to send one queued email. Returns 'sent', 'retrying', 'failed' or 'cancelled'.
+  async function deliver(entry) {
+    const now = new Date().toISOString();
+    const note = entry.noteId ? await storage.notes.get(entry.noteId) : null;
+
+    // The note was deleted (or is in the trash), or the recipient is no longer one of its addresses
+    if (!note || !noteAddresses(note).some(address => address.toLowerCase() === entry.recipient.toLowerCase())) {
+      await storage.outbox.update(entry.id, { status: 'cancelled', nextAttemptAt: null, updatedAt: now });
+      return 'cancelled';
+    }
+
+    // The recipient unsubscribed, or hasn't confirmed their address yet
+    const refused = await checkRecipient(entry);
+    if (refused) {
+      await storage.outbox.update(entry.id, { status: 'cancelled', lastError: refused, nextAttemptAt: null, updatedAt: now });
+      console.log(`⚠ Cancelled ${entry.type} email to ${entry.recipient}: ${refused}`);
+      return 'cancelled';
+    }
+
+    const attempts = entry.attempts + 1;
+    try {
+      await senders[entry.type](note, entry);
+      await storage.outbox.update(entry.id, {
+        status: 'sent',
+        attempts,
+        lastError: null,
+        nextAttemptAt: null,
+        sentAt: now,
+        updatedAt: now
+      });
+      return 'sent';
+    } catch (error) {
+      const failed = attempts >= MAX_ATTEMPTS;
+      await storage.outbox.update(entry.id, {
+        status: failed ? 'failed' : 'pending',
+        attempts,
+        lastError: error.message || String(error),
+        nextAttemptAt: failed ? null : new Date(Date.now() + retryDelay(attempts)).toISOString(),
+        updatedAt: now
+      });
+      console.error(`✗ ${entry.type} email to ${entry.recipient} failed (attempt ${attempts}/${MAX_ATTEMPTS}):`, error.message || error);
+      return failed ? 'failed' : 'retrying';
+    }
+  }
+
+  async function run() {
+    const entries = await storage.outbox.listDue(new Date().toISOString());
+    const result = { sent: 0, retrying: 0, failed: 0, cancelled: 0 };
+
+    for (const [index, entry] of entries.entries()) {
+      if (index > 0) {
+        // Small delay to avoid overwhelming email service
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+      result[await deliver(entry)]++;
+    }
+
+    if (entries.length > 0) {
+      console.log(`Outbox run complete: ${result.sent} sent, ${result.retrying} retrying, ${result.failed} failed, ${result.cancelled} cancelled`);
+    }
+    return result;
+  }
+
+  // Send every queued email that is due. Calls made while a run is in progress share that run.
+  function processDue() {
+    if (!running) {
+      running = run().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  // Latest email of each type for a note, in the shape returned by GET /api/notes/:id
+  async function deliveryStatus(noteId) {
+    const entries = await storage.outbox.listForNote(noteId);
+    const status = {};
+    entries.forEach(entry => {
+      if (status[entry.type]) return; // newest first, keep the latest
+      status[entry.type] = {
+        status: entry.status,
+        recipient: entry.recipient,
+        attempts: entry.attempts,
+        lastError: entry.lastError,
+        nextAttemptAt: entry.nextAttemptAt,
+        sentAt: entry.sentAt,
+        queuedAt: entry.createdAt
+      };
+    });
+    return status;
+  }
+
+  return { enqueue, hasPending, processDue, deliveryStatus };
+}
+
+module.exports = { createOutbox, retryDelay, MAX_ATTEMPTS };
@@ -0,0 +1,57 @@
+// Recipients: the other people a capsule is addressed to, besides the writer's own address (note.email)
+const { EMAIL_PATTERN } = require('./validation');
+
+const MAX_RECIPIENTS = 10;
+const MAX_EMAIL_LENGTH = 254;
+
+// Recipients from a request body: an array or a comma separated string of addresses.
+// Returns { recipients } (without repeats, in the order given) or { error }.
+function parseRecipients(value) {
+  if (value === undefined || value === null || value === '') {
+    return { recipients: [] };
+  }
+  const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : null;
+  if (!list || list.some(email => typeof email !== 'string')) {
+    return { error: 'recipients must be a list of email addresses or a comma separated string' };
+  }
+
+  const recipients = [];
+  list.map(email => email.trim()).filter(Boolean).forEach(email => {
+    if (!recipients.some(other => other.toLowerCase() === email.toLowerCase())) {
+      recipients.push(email);
+    }
+  });
+  if (recipients.length > MAX_RECIPIENTS) {
+    return { error: `A note can have at most ${MAX_RECIPIENTS} recipients` };
+  }
+  const invalid = recipients.find(email => email.length > MAX_EMAIL_LENGTH || !EMAIL_PATTERN.test(email));
+  if (invalid) {
+    return { error: `recipients must be valid email addresses ("${invalid}")` };
+  }
+  return { recipients };
+}
+
+// Every address a note's capsule emails go to: the writer's own first, then the recipients (each address once)
+function noteAddresses(note) {
+  const addresses = [];
+  [note.email, ...(note.recipients || [])].filter(Boolean).forEach(email => {
+    if (!addresses.some(other => other.toLowerCase() === email.toLowerCase())) {
+      addresses.push(email);
+    }
+  });
+  return addresses;
+}
+
+// Is the address one of the note's recipients (and not the writer's own)?
+function isRecipient(note, email) {
+  const key = String(email).toLowerCase();
+  return (!note.email || note.email.toLowerCase() !== key) && (note.recipients || []).some(other => other.toLowerCase() === key);
+}
+
+// The writer's name as it is shown in emails, which can go to addresses nobody has confirmed yet: only letters,
+// digits, spaces and . ' - are kept, so a name can't carry links, markup or anything that breaks a header
+function displayName(name) {
+  return String(name || '').replace(/\s+/g, ' ').replace(/[^\p{L}\p{M}\p{N} .'’-]/gu, '').replace(/ +/g, ' ').trim();
+}
+
+module.exports = { MAX_RECIPIENTS, parseRecipients, noteAddresses, isRecipient, displayName };
@@ -0,0 +1,178 @@
+// What each API route accepts: schemas (see lib/validation.js) for its route parameters, query string and body
+
+const delivery = require('./delivery');
+const labels = require('./labels');
+const recipients = require('./recipients');
+const exporter = require('./export');
+
+// Long enough for a long diary entry, even once it's been encrypted in the browser
+const MAX_CONTENT_LENGTH = 100000;
+const MAX_NAME_LENGTH = 100;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const MAX_ID_LENGTH = 200;
+const MAX_QUERY_LENGTH = 200;
+const MAX_PAGE_SIZE = 100;
+
+const tagsRule = {
+  type: 'any',
+  parse(value) {
+    const parsed = labels.parseTags(value);
+    return parsed.error ? parsed : { value: parsed.tags };
+  }
+};
+
+const moodRule = {
+  type: 'any',
+  parse(value) {
+    const parsed = labels.parseMood(value);
+    return parsed.error ? parsed : { value: parsed.mood };
+  }
+};
+
+const contentRule = { type: 'string', required: true, maxLength: MAX_CONTENT_LENGTH };
+const nameRule = { type: 'string', nullable: true, maxLength: MAX_NAME_LENGTH };
+const idRule = { type: 'string', required: true, maxLength: MAX_ID_LENGTH };
+const formatRule = { type: 'string', nullable: true, oneOf: Object.keys(exporter.EXPORT_FORMATS) };
+
+const noteFields = {
+  content: contentRule,
+  name: nameRule,
+  email: { type: 'email', nullable: true },
+  // The other people the capsule is emailed to, as a list or a comma separated string
+  recipients: {
+    type: 'any',
+    parse(value) {
+      const parsed = recipients.parseRecipients(value);
+      return parsed.error ? parsed : { value: parsed.recipients };
+    }
+  },
+  // Put a link in the recipients' capsule emails where they can write back
+  allowReplies: { type: 'boolean' },
+  deliverAt: { type: 'date', nullable: true },
+  deliverOn: {
+    type: 'string',
+    nullable: true,
+    parse: value => delivery.parseCalendarDate(value) ? { value } : { error: 'deliverOn must be a date like 2027-05-01' }
+  },
+  // One preset or a list of them - each is a delivery, e.g. ["1-year", "5-years", "10-years"]
+  deliverIn: {
+    type: 'any',
+    parse: value => (value === null || value === '' ? { value: null } : delivery.parseDeliverIn(value))
+  },
+  // Deliver it again every year on the anniversary of writing it
+  repeatYearly: { type: 'boolean' },
+  // The writer's IANA timezone, e.g. "Europe/Berlin" - delivery dates are calendar dates there
+  timezone: {
+    type: 'string',
+    nullable: true,
+    maxLength: 64,
+    parse: value => delivery.isValidTimeZone(value) ? { value } : { error: 'timezone must be an IANA timezone like Europe/Berlin' }
+  },
+  tags: tagsRule,
+  mood: moodRule
+};
+
+const noteParams = { id: idRule };
+const replyLinkQuery = {
+  email: { type: 'email', required: true },
+  token: { type: 'string', required: true, maxLength: MAX_ID_LENGTH }
+};
+const attachmentParams = { id: idRule, attachmentId: idRule };
+const revisionParams = { id: idRule, revision: { type: 'integer', required: true, min: 1 } };
+
+// Routes that take no query string and no body
+const empty = { query: {}, body: {} };
+
+module.exports = {
+  MAX_CONTENT_LENGTH,
+  MAX_NAME_LENGTH,
+  MAX_ID_LENGTH,
+
+  register: {
+    ...empty,
+    body: {
+      email: { type: 'email', required: true },
+      password: { type: 'string', required: true, trim: false, minLength: MIN_PASSWORD_LENGTH, maxLength: MAX_PASSWORD_LENGTH },
+      name: nameRule
+    }
+  },
+  login: {
+    ...empty,
+    body: {
+      email: { type: 'string', required: true, maxLength: 254 },
+      password: { type: 'string', required: true, trim: false, maxLength: MAX_PASSWORD_LENGTH }
+    }
+  },
+  empty,
+
+  // GET /api/notes - without any of these it lists every note instead of searching (?q= on its own still searches)
+  searchNotes: {
+    query: {
+      q: { type: 'string', nullable: true, maxLength: MAX_QUERY_LENGTH },
+      from: { type: 'date', nullable: true },
+      to: { type: 'date', nullable: true },
+      hasEmail: { type: 'boolean', nullable: true },
+      // ?tag= can be repeated
+      tag: { type: 'any', parse: value => tagsRule.parse([].concat(value)) },
+      mood: moodRule,
+      page: { type: 'integer', nullable: true, min: 1 },
+      limit: { type: 'integer', nullable: true, min: 1, max: MAX_PAGE_SIZE }
+    },
+    body: {}
+  },
+  note: { ...empty, params: noteParams },
+  createNote: {
+    query: {},
+    body: { ...noteFields, author: nameRule, seal: { type: 'boolean' } }
+  },
+  updateNote: { query: {}, params: noteParams, body: noteFields },
+  revision: { ...empty, params: revisionParams },
+  capsule: {
+    params: noteParams,
+    query: { token: { type: 'string', required: true, maxLength: MAX_ID_LENGTH } },
+    body: {}
+  },
+  // The reply link in a capsule email sent to a recipient (public/reply.html). A reply is delivered like a new note.
+  capsuleReplyLink: { params: noteParams, query: replyLinkQuery, body: {} },
+  capsuleReply: {
+    params: noteParams,
+    query: replyLinkQuery,
+    body: { content: contentRule, name: nameRule, deliverIn: noteFields.deliverIn }
+  },
+  // Attachments are uploaded as the raw body, checked by lib/attachments.js
+  uploadAttachment: { query: {}, params: noteParams },
+  attachment: { ...empty, params: attachmentParams },
+
+  unsentNote: { ...empty, params: noteParams },
+  createUnsentNote: { query: {}, body: { content: contentRule } },
+  // Sending an unsent note schedules it like a new note, in the sender's timezone
+  sendUnsentNote: { query: {}, params: noteParams, body: { timezone: noteFields.timezone } },
+
+  export: { query: { format: formatRule }, body: {} },
+  // Imports are uploaded as the raw body, checked by lib/export.js
+  import: { query: { format: formatRule } },
+
+  // The links in confirmation and unsubscribe emails. A mail app's one-click unsubscribe posts a form body, which
+  // isn't parsed (only JSON bodies are), so the body is always empty here.
+  emailLink: {
+    query: {
+      email: { type: 'email', required: true },
+      token: { type: 'string', required: true, maxLength: MAX_ID_LENGTH }
+    },
+    body: {}
+  },
+
+  testEmail: { query: { email: { type: 'email', required: true } }, body: {} },
+
+  adminEmails: {
+    query: {
+      status: { type: 'string', nullable: true, oneOf: ['pending', 'sent', 'failed', 'cancelled'] },
+      limit: { type: 'integer', nullable: true, min: 1, max: 500 }
+    },
+    body: {}
+  },
+  adminEmail: { ...empty, params: { id: idRule } },
+  schedulerRun: { query: {}, body: { dryRun: { type: 'boolean' } } },
+  schedulerRuns: { query: { limit: { type: 'integer', nullable: true, min: 1, max: 200 } }, body: {} }
+};
@@ -0,0 +1,149 @@
+// Full-text search over notes for backends without a search engine of their own (files, memory, SQLite).
+// PostgreSQL uses its built-in full-text search instead (see storage/sql.js).
+//
+// Every word of the query has to appear in the note (a word also matches longer words it starts, so "run"
+// finds "running"). Results are ranked by how often and how rarely-used the matching words are.
+const { escapeHtml } = require('../public/markdown');
+
+// Snippets mark matched words with these characters. snippetToHtml turns them into <mark> tags.
+const MARK_START = '⟦';
+const MARK_END = '⟧';
+
+const SNIPPET_LENGTH = 160;
+
+// Start the index over once it holds this many notes, so deleted notes don't pile up forever
+const MAX_INDEXED_RECORDS = 50000;
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+function tokenize(text) {
+  return (String(text || '').toLowerCase().match(WORD) || []);
+}
+
+// The words of a search query, without duplicates
+function parseQuery(q) {
+  return [...new Set(tokenize(q))];
+}
+
+// Escape a snippet and highlight its marked words
+function snippetToHtml(snippet) {
+  const pattern = new RegExp(`${MARK_START}([^${MARK_START}${MARK_END}]*)${MARK_END}`, 'g');
+  return escapeHtml(snippet)
+    .replace(pattern, '<mark>$1</mark>')
+    .replace(new RegExp(`[${MARK_START}${MARK_END}]`, 'g'), '');
+}
+
+// Part of the text around the first match, with every matching word marked
+function buildSnippet(text, terms) {
+  const content = String(text || '').replace(/\s+/g, ' ').trim();
+  const matches = [];
+  for (const match of content.matchAll(WORD)) {
+    const word = match[0].toLowerCase();
+    if (terms.some(term => word.startsWith(term))) {
+      matches.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  let start = 0;
+  if (matches.length > 0 && matches[0].start > SNIPPET_LENGTH / 3) {
+    start = content.lastIndexOf(' ', matches[0].start - SNIPPET_LENGTH / 3) + 1;
+  }
+  let end = Math.min(content.length, start + SNIPPET_LENGTH);
+  if (end < content.length) {
+    const lastSpace = content.lastIndexOf(' ', end);
+    if (lastSpace > start) end = lastSpace;
+  }
+
+  let snippet = '';
+  let position = start;
+  matches
+    .filter(match => match.start >= start && match.end <= end)
+    .forEach(match => {
+      snippet += content.slice(position, match.start) + MARK_START + content.slice(match.start, match.end) + MARK_END;
+      position = match.end;
+    });
+  snippet += content.slice(position, end);
+
+  return `${start > 0 ? '… ' : ''}${snippet}${end < content.length ? ' …' : ''}`;
+}
+
+// Keeps the word counts of every note it has seen, re-reading a note only when its updatedAt changes
+function createSearchIndex({ fields = ['content', 'name'] } = {}) {
+  const entries = new Map(); // id -> { version, words: Map(word -> count) }
+
+  function wordsOf(record) {
+    const version = `${record.updatedAt || record.createdAt}`;
+    const cached = entries.get(record.id);
+    if (cached && cached.version === version) {
+      return cached.words;
+    }
+    if (entries.size >= MAX_INDEXED_RECORDS) {
+      entries.clear();
+    }
+
+    const words = new Map();
+    fields.forEach(field => {
+      tokenize(record[field]).forEach(word => words.set(word, (words.get(word) || 0) + 1));
+    });
+    entries.set(record.id, { version, words });
+    return words;
+  }
+
+  // How many times the note uses words starting with term
+  function countMatches(words, term) {
+    let count = 0;
+    words.forEach((times, word) => {
+      if (word.startsWith(term)) count += times;
+    });
+    return count;
+  }
+
+  // Rank records against a query. Returns [{ record, rank, snippet }] for the records that match, best first.
+  function search(records, q) {
+    const terms = parseQuery(q);
+    if (terms.length === 0) return [];
+
+    const counts = records.map(record => {
+      const words = wordsOf(record);
+      return terms.map(term => countMatches(words, term));
+    });
+    const documentFrequency = terms.map((term, index) => counts.filter(termCounts => termCounts[index] > 0).length);
+
+    const results = [];
+    records.forEach((record, recordIndex) => {
+      const termCounts = counts[recordIndex];
+      if (termCounts.some(count => count === 0)) return;
+
+      const rank = termCounts.reduce((sum, count, index) => {
+        const idf = Math.log(1 + records.length / documentFrequency[index]);
+        return sum + (count / (count + 1)) * idf;
+      }, 0);
+      results.push({ record, rank, snippet: buildSnippet(record.content, terms) });
+    });
+
+    return results.sort((a, b) => b.rank - a.rank || new Date(b.record.createdAt) - new Date(a.record.createdAt));
+  }
+
+  return { search };
+}
+
+// Rank records with an index and cut out one page of results: { notes, total }.
+// Each note gets its `rank` and a `snippet` with the matched words marked.
+function searchPage(index, records, q, { limit, offset }) {
+  const results = index.search(records, q);
+  return {
+    total: results.length,
+    notes: results.slice(offset, offset + limit).map(({ record, rank, snippet }) => ({ ...record, rank, snippet }))
+  };
+}
+
+module.exports = {
+  createSearchIndex,
+  searchPage,
+  tokenize,
+  parseQuery,
+  buildSnippet,
+  snippetToHtml,
+  MARK_START,
+  MARK_END
+};
@@ -0,0 +1,451 @@
+// Repositories backed by plain arrays of records.
+// The file and memory backends share this code and only differ in how each collection is loaded and saved.
+const { createSearchIndex, searchPage } = require('../search');
+const { isLocked } = require('../delivery');
+
+function byNewestFirst(a, b) {
+  return new Date(b.createdAt) - new Date(a.createdAt);
+}
+
+// Records in the trash have a deletedAt date
+const notTrashed = record => !record.deletedAt;
+
+// The repositories, reading and writing whole collections with load(name) and save(name, records).
+// notesIndex holds the word counts of every note, kept between searches.
+function createRepositories({ load, save }, notesIndex) {
+  const users = {
+    async findById(id) {
+      return load('users').find(u => u.id === id) || null;
+    },
+
+    async findByEmail(email) {
+      return load('users').find(u => u.email === email) || null;
+    },
+
+    async count() {
+      return load('users').length;
+    },
+
+    async create(user) {
+      const records = load('users');
+      records.push(user);
+      save('users', records);
+      return user;
+    }
+  };
+
+  // trash, restore, existingIds, listTrash and purge for the notes or unsent notes collection. See sql.js.
+  function trashMethods(name) {
+    return {
+      async trash(id, ownerId, deletedAt = new Date().toISOString()) {
+        const records = load(name);
+        const record = records.find(r => r.id === id && r.ownerId === ownerId && notTrashed(r));
+        if (!record) return false;
+        record.deletedAt = deletedAt;
+        save(name, records);
+        return true;
+      },
+
+      async restore(id, ownerId) {
+        const records = load(name);
+        const record = records.find(r => r.id === id && r.ownerId === ownerId && !notTrashed(r));
+        if (!record) return false;
+        record.deletedAt = null;
+        save(name, records);
+        return true;
+      },
+
+      // Which of these ids are taken by a record of any user, including records in the trash (used by imports)
+      async existingIds(ids) {
+        const taken = new Set(load(name).map(r => r.id));
+        return ids.filter(id => taken.has(id));
+      },
+
+      async listTrash({ ownerId } = {}) {
+        return load(name)
+          .filter(r => !notTrashed(r) && (!ownerId || r.ownerId === ownerId))
+          .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+      },
+
+      async purge({ id, ownerId, before } = {}) {
+        const records = load(name);
+        const purged = records.filter(r =>
+          !notTrashed(r) &&
+          (!id || r.id === id) &&
+          (!ownerId || r.ownerId === ownerId) &&
+          (!before || new Date(r.deletedAt) < new Date(before))
+        );
+        if (purged.length > 0) save(name, records.filter(r => !purged.includes(r)));
+        return purged.map(r => r.id);
+      }
+    };
+  }
+
+  const notes = {
+    // Notes in the trash are left out of list, get, search and labelCounts - see listTrash.
+    // Without an ownerId every note is returned (used by the email scheduler)
+    async list({ ownerId } = {}) {
+      const records = load('notes').filter(notTrashed);
+      return (ownerId ? records.filter(n => n.ownerId === ownerId) : records).sort(byNewestFirst);
+    },
+
+    // Notes whose capsule email is due: they have an address (their own or a recipient's) and a delivery that
+    // hasn't been sent and whose date has passed
+    async listDue(now) {
+      const isDue = d => !d.sentAt && new Date(d.deliverAt) <= new Date(now);
+      return load('notes')
+        .filter(n => notTrashed(n) && (n.email || (n.recipients || []).length > 0) && (n.deliveries || []).some(isDue))
+        .sort((a, b) => new Date(a.deliverAt) - new Date(b.deliverAt));
+    },
+
+    // Replies written to a note from the link in its capsule emails, in the trash or not
+    async listReplies(noteId) {
+      return load('notes').filter(n => n.inReplyTo === noteId).sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    },
+
+    async get(id, ownerId) {
+      return load('notes').find(n => n.id === id && (!ownerId || n.ownerId === ownerId) && notTrashed(n)) || null;
+    },
+
+    async create(note) {
+      const records = load('notes');
+      records.push(note);
+      save('notes', records);
+      return note;
+    },
+
+    // Apply changes to a note and return the updated note (null if it doesn't exist)
+    async update(id, changes) {
+      const records = load('notes');
+      const note = records.find(n => n.id === id);
+      if (!note) return null;
+      Object.assign(note, changes);
+      save('notes', records);
+      return note;
+    },
+
+    // Delete a note for good, wherever it is
+    async delete(id, ownerId) {
+      const records = load('notes');
+      const remaining = records.filter(n => !(n.id === id && (!ownerId || n.ownerId === ownerId)));
+      if (remaining.length === records.length) return false;
+      save('notes', remaining);
+      return true;
+    },
+
+    ...trashMethods('notes'),
+
+    // One page of notes matching a search and filters: { notes, total }. See sql.js for the options.
+    async search({ ownerId, q, from, to, hasEmail, tags = [], mood, now = new Date().toISOString(), limit = 20, offset = 0 } = {}) {
+      let records = load('notes').filter(n =>
+        notTrashed(n) &&
+        (!ownerId || n.ownerId === ownerId) &&
+        (!from || new Date(n.createdAt) >= new Date(from)) &&
+        (!to || new Date(n.createdAt) < new Date(to)) &&
+        (hasEmail === undefined || !!n.email === hasEmail) &&
+        tags.every(tag => (n.tags || []).includes(tag)) &&
+        (!mood || n.mood === mood)
+      );
+
+      if (q || tags.length > 0 || mood) {
+        // Sealed notes that haven't opened yet can't be found by what they say
+        records = records.filter(n => !isLocked(n, new Date(now)));
+      }
+      if (q) {
+        records = records.filter(n => !n.encrypted);
+        return searchPage(notesIndex, records, q, { limit, offset });
+      }
+
+      records.sort(byNewestFirst);
+      return { notes: records.slice(offset, offset + limit), total: records.length };
+    },
+
+    // How often each tag and mood is used, most used first. See sql.js.
+    async labelCounts({ ownerId, now = new Date().toISOString() } = {}) {
+      const tagCounts = new Map();
+      const moodCounts = new Map();
+      load('notes')
+        .filter(n => notTrashed(n) && (!ownerId || n.ownerId === ownerId) && !isLocked(n, new Date(now)))
+        .forEach(n => {
+          (n.tags || []).forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1));
+          if (n.mood) moodCounts.set(n.mood, (moodCounts.get(n.mood) || 0) + 1);
+        });
+
+      const byCount = (a, b) => b.count - a.count || (a.tag || a.mood).localeCompare(b.tag || b.mood);
+      return {
+        tags: [...tagCounts].map(([tag, count]) => ({ tag, count })).sort(byCount),
+        moods: [...moodCounts].map(([mood, count]) => ({ mood, count })).sort(byCount)
+      };
+    },
+
+    // Give notes without an owner to a user, returns how many were claimed
+    async claimOrphans(ownerId) {
+      const records = load('notes');
+      const orphans = records.filter(n => !n.ownerId);
+      orphans.forEach(n => { n.ownerId = ownerId; });
+      if (orphans.length > 0) save('notes', records);
+      return orphans.length;
+    }
+  };
+
+  const unsentNotes = {
+    async list({ ownerId } = {}) {
+      const records = load('unsentNotes').filter(notTrashed);
+      return (ownerId ? records.filter(n => n.ownerId === ownerId) : records).sort(byNewestFirst);
+    },
+
+    async get(id, ownerId) {
+      return load('unsentNotes').find(n => n.id === id && (!ownerId || n.ownerId === ownerId) && notTrashed(n)) || null;
+    },
+
+    async create(note) {
+      const records = load('unsentNotes');
+      records.push(note);
+      save('unsentNotes', records);
+      return note;
+    },
+
+    async delete(id, ownerId) {
+      const records = load('unsentNotes');
+      const remaining = records.filter(n => !(n.id === id && (!ownerId || n.ownerId === ownerId)));
+      if (remaining.length === records.length) return false;
+      save('unsentNotes', remaining);
+      return true;
+    },
+
+    ...trashMethods('unsentNotes'),
+
+    async claimOrphans(ownerId) {
+      const records = load('unsentNotes');
+      const orphans = records.filter(n => !n.ownerId);
+      orphans.forEach(n => { n.ownerId = ownerId; });
+      if (orphans.length > 0) save('unsentNotes', records);
+      return orphans.length;
+    }
+  };
+
+  const outbox = {
+    async get(id) {
+      return load('outbox').find(e => e.id === id) || null;
+    },
+
+    async create(entry) {
+      const records = load('outbox');
+      records.push(entry);
+      save('outbox', records);
+      return entry;
+    },
+
+    async update(id, changes) {
+      const records = load('outbox');
+      const entry = records.find(e => e.id === id);
+      if (!entry) return null;
+      Object.assign(entry, changes);
+      save('outbox', records);
+      return entry;
+    },
+
+    // Pending emails whose next attempt time has passed, oldest first
+    async listDue(now, limit = 50) {
+      return load('outbox')
+        .filter(e => e.status === 'pending' && e.nextAttemptAt && new Date(e.nextAttemptAt) <= new Date(now))
+        .sort((a, b) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt))
+        .slice(0, limit);
+    },
+
+    // Every email queued for a note, newest first
+    async listForNote(noteId) {
+      return load('outbox').filter(e => e.noteId === noteId).sort(byNewestFirst);
+    },
+
+    async list({ status, limit = 100 } = {}) {
+      return load('outbox').filter(e => !status || e.status === status).sort(byNewestFirst).slice(0, limit);
+    },
+
+    async countByStatus() {
+      const counts = { pending: 0, sent: 0, failed: 0, cancelled: 0 };
+      load('outbox').forEach(e => { counts[e.status] = (counts[e.status] || 0) + 1; });
+      return counts;
+    }
+  };
+
+  // Files kept "in the database" are stored base64 encoded in the data field
+  const withoutData = ({ data, ...metadata }) => metadata;
+
+  const attachments = {
+    // Attachments of several notes at once, oldest first
+    async listForNotes(noteIds) {
+      return load('attachments')
+        .filter(a => noteIds.includes(a.noteId))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .map(withoutData);
+    },
+
+    async get(id, ownerId) {
+      const attachment = load('attachments').find(a => a.id === id && (!ownerId || a.ownerId === ownerId));
+      return attachment ? withoutData(attachment) : null;
+    },
+
+    // The stored file as a Buffer (null when it is kept on disk instead)
+    async getData(id) {
+      const attachment = load('attachments').find(a => a.id === id);
+      return attachment && attachment.data ? Buffer.from(attachment.data, 'base64') : null;
+    },
+
+    // attachment.data is a Buffer, or null for files kept on disk
+    async create(attachment) {
+      const records = load('attachments');
+      records.push({ ...withoutData(attachment), data: attachment.data ? attachment.data.toString('base64') : null });
+      save('attachments', records);
+      return withoutData(attachment);
+    },
+
+    async delete(id) {
+      const records = load('attachments');
+      const remaining = records.filter(a => a.id !== id);
+      if (remaining.length === records.length) return false;
+      save('attachments', remaining);
+      return true;
+    }
+  };
+
+  const revisions = {
+    // Every version of a note, newest first
+    async listForNote(noteId) {
+      return load('revisions').filter(r => r.noteId === noteId).sort((a, b) => b.revision - a.revision);
+    },
+
+    async get(noteId, revision) {
+      return load('revisions').find(r => r.noteId === noteId && r.revision === revision) || null;
+    },
+
+    // Store the next version of a note, numbered after the latest one
+    async create({ noteId, ownerId, content, name, email, createdAt }) {
+      const records = load('revisions');
+      const latest = Math.max(0, ...records.filter(r => r.noteId === noteId).map(r => r.revision));
+      const revision = { noteId, revision: latest + 1, ownerId, content, name, email, createdAt };
+      records.push(revision);
+      save('revisions', records);
+      return revision;
+    },
+
+    async deleteForNote(noteId) {
+      const records = load('revisions');
+      const remaining = records.filter(r => r.noteId !== noteId);
+      if (remaining.length < records.length) save('revisions', remaining);
+      return records.length - remaining.length;
+    }
+  };
+
+  const idempotencyKeys = {
+    async get(ownerId, scope, key) {
+      return load('idempotencyKeys').find(r => r.ownerId === ownerId && r.scope === scope && r.key === key) || null;
+    },
+
+    async create(record) {
+      const records = load('idempotencyKeys');
+      if (records.some(r => r.ownerId === record.ownerId && r.scope === record.scope && r.key === record.key)) {
+        throw new Error('Idempotency key already used');
+      }
+      records.push(record);
+      save('idempotencyKeys', records);
+      return record;
+    },
+
+    async purge({ before }) {
+      const records = load('idempotencyKeys');
+      const remaining = records.filter(r => new Date(r.createdAt) >= new Date(before));
+      if (remaining.length < records.length) save('idempotencyKeys', remaining);
+      return records.length - remaining.length;
+    }
+  };
+
+  const schedulerRuns = {
+    async create(run) {
+      const records = load('schedulerRuns');
+      records.push(run);
+      save('schedulerRuns', records);
+      return run;
+    },
+
+    async list({ limit = 50 } = {}) {
+      return load('schedulerRuns')
+        .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+        .slice(0, limit);
+    },
+
+    async purge({ before }) {
+      const records = load('schedulerRuns');
+      const remaining = records.filter(r => new Date(r.startedAt) >= new Date(before));
+      if (remaining.length < records.length) save('schedulerRuns', remaining);
+      return records.length - remaining.length;
+    }
+  };
+
+  const emailAddresses = {
+    async get(email) {
+      return load('emailAddresses').find(a => a.email === email) || null;
+    },
+
+    async getMany(emails) {
+      return load('emailAddresses').filter(a => emails.includes(a.email));
+    },
+
+    async update(email, changes) {
+      const records = load('emailAddresses');
+      let address = records.find(a => a.email === email);
+      if (!address) {
+        const now = new Date().toISOString();
+        address = { email, confirmedAt: null, unsubscribedAt: null, confirmationSentAt: null, createdAt: now, updatedAt: now };
+        records.push(address);
+      }
+      Object.assign(address, changes);
+      save('emailAddresses', records);
+      return address;
+    },
+
+    async countUnsubscribed() {
+      return load('emailAddresses').filter(a => a.unsubscribedAt).length;
+    }
+  };
+
+  return { users, notes, unsentNotes, outbox, attachments, revisions, idempotencyKeys, schedulerRuns, emailAddresses };
+}
+
+// persistence: { load(name) -> array of records, save(name, records) }
+function createCollectionStorage(persistence) {
+  const notesIndex = createSearchIndex();
+
+  // Every repository call and transaction waits for the ones before it to finish, so a transaction
+  // never sees (or overwrites) half of another request's changes
+  let queue = Promise.resolve();
+  function enqueue(fn) {
+    const result = queue.then(fn);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  const storage = {};
+  Object.entries(createRepositories(persistence, notesIndex)).forEach(([name, repository]) => {
+    storage[name] = {};
+    Object.entries(repository).forEach(([method, call]) => {
+      storage[name][method] = (...args) => enqueue(() => call(...args));
+    });
+  });
+
+  // The transaction's repositories keep their changes to themselves until fn has finished, then every
+  // changed collection is saved. If fn throws nothing is saved. fn must only use the repositories it is given.
+  storage.transaction = fn => enqueue(async () => {
+    const changed = new Map();
+    const result = await fn(createRepositories({
+      load: name => (changed.has(name) ? structuredClone(changed.get(name)) : persistence.load(name)),
+      save: (name, records) => changed.set(name, structuredClone(records))
+    }, notesIndex));
+    changed.forEach((records, name) => persistence.save(name, records));
+    return result;
+  });
+
+  return storage;
+}
+
+module.exports = { createCollectionStorage };
@@ -0,0 +1,153 @@
+// JSON file storage (local development)
+// Each file holds { "schemaVersion": <latest migration>, "records": [...] }. Files from before
+// migrations existed are plain arrays and count as version 0.
+// Files are replaced in one step (written to a temporary file, then renamed), older versions are kept
+// in backups/, and a file that can't be read is never overwritten - the server refuses to start instead.
+const fs = require('fs');
+const path = require('path');
+const { createCollectionStorage } = require('./collection');
+const { latestVersion, pendingFileMigrations, runFileMigrations } = require('./migrate');
+
+// Collection name -> file name
+const FILES = {
+  notes: 'notes.json',
+  unsentNotes: 'unsent-notes.json',
+  users: 'users.json',
+  outbox: 'email-outbox.json',
+  attachments: 'attachments.json',
+  revisions: 'note-revisions.json',
+  idempotencyKeys: 'idempotency-keys.json',
+  schedulerRuns: 'scheduler-runs.json',
+  emailAddresses: 'email-addresses.json'
+};
+
+// How many older copies of each file to keep in backups/ (FILE_BACKUPS=0 turns backups off)
+const BACKUP_COUNT = process.env.FILE_BACKUPS === undefined ? 5 : Math.max(0, parseInt(process.env.FILE_BACKUPS, 10) || 0);
+// A file is backed up before it changes, unless its latest backup is younger than this
+const BACKUP_INTERVAL_MS = 60 * 60 * 1000;
+
+function createFileStorage({ dataDir, backups = BACKUP_COUNT }) {
+  const filePath = name => path.join(dataDir, FILES[name]);
+  const backupDir = path.join(dataDir, 'backups');
+  // notes.json.1 is the newest backup of notes.json
+  const backupPath = (name, number) => path.join(backupDir, `${FILES[name]}.${number}`);
+
+  function damagedFileError(name, reason) {
+    const newestBackup = fs.existsSync(backupPath(name, 1)) ? backupPath(name, 1) : null;
+    return new Error(
+      `${filePath(name)} is damaged (${reason}). It has not been changed - repair it` +
+      `${newestBackup ? ` or replace it with a backup such as ${newestBackup}` : ''}, then start again.`
+    );
+  }
+
+  // Read a data file as { schemaVersion, records }, or null if it doesn't exist. Throws if it can't be read.
+  function readFile(name) {
+    if (!fs.existsSync(filePath(name))) return null;
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath(name), 'utf8'));
+    } catch (error) {
+      throw damagedFileError(name, error.message);
+    }
+    if (Array.isArray(data)) {
+      return { schemaVersion: 0, records: data };
+    }
+    if (!data || typeof data !== 'object' || (data.records !== undefined && !Array.isArray(data.records))) {
+      throw damagedFileError(name, 'no list of records in it');
+    }
+    return { schemaVersion: data.schemaVersion || 0, records: data.records || [] };
+  }
+
+  // Keep a copy of the file as it is now: notes.json.1 becomes notes.json.2 and so on, the oldest is dropped
+  function backUp(name) {
+    if (backups <= 0 || !fs.existsSync(filePath(name))) return;
+    const newest = backupPath(name, 1);
+    if (fs.existsSync(newest) && Date.now() - fs.statSync(newest).mtimeMs < BACKUP_INTERVAL_MS) return;
+
+    fs.mkdirSync(backupDir, { recursive: true });
+    for (let number = backups; number > 1; number--) {
+      if (fs.existsSync(backupPath(name, number - 1))) {
+        fs.renameSync(backupPath(name, number - 1), backupPath(name, number));
+      }
+    }
+    fs.copyFileSync(filePath(name), newest);
+  }
+
+  // Write the whole file to a temporary file first and rename it over the old one, so a crash
+  // halfway through leaves the old file as it was instead of half a file
+  function writeFile(name, records) {
+    backUp(name);
+    const temporary = `${filePath(name)}.${process.pid}.tmp`;
+    const fd = fs.openSync(temporary, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify({ schemaVersion: latestVersion(), records }, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(temporary, filePath(name));
+  }
+
+  // Temporary files left behind by a crash in the middle of a write
+  function removeTemporaryFiles() {
+    const dataFiles = Object.values(FILES);
+    fs.readdirSync(dataDir)
+      .filter(file => file.endsWith('.tmp') && dataFiles.some(dataFile => file.startsWith(`${dataFile}.`)))
+      .forEach(file => fs.unlinkSync(path.join(dataDir, file)));
+  }
+
+  // Oldest schema version among the existing data files (null when there is no data yet)
+  function currentVersion() {
+    const versions = Object.keys(FILES)
+      .map(readFile)
+      .filter(Boolean)
+      .map(file => file.schemaVersion);
+    return versions.length > 0 ? Math.min(...versions) : null;
+  }
+
+  const storage = createCollectionStorage({
+    // A damaged file makes the request fail rather than look empty - saving after that would wipe it
+    load(name) {
+      const file = readFile(name);
+      return file ? file.records : [];
+    },
+
+    save(name, records) {
+      writeFile(name, records);
+    }
+  });
+
+  return {
+    ...storage,
+    name: 'file',
+
+    // Bring every data file up to the latest schema version, creating missing files
+    async migrate() {
+      removeTemporaryFiles();
+      const fromVersion = currentVersion();
+      const data = {};
+      Object.keys(FILES).forEach(name => {
+        const file = readFile(name);
+        data[name] = file ? file.records : [];
+      });
+
+      const applied = fromVersion === null ? [] : runFileMigrations(data, fromVersion);
+      Object.keys(FILES).forEach(name => {
+        const file = readFile(name);
+        if (!file || applied.length > 0 || file.schemaVersion !== latestVersion()) {
+          writeFile(name, data[name]);
+        }
+      });
+      return applied;
+    },
+
+    async pendingMigrations() {
+      const fromVersion = currentVersion();
+      return fromVersion === null ? [] : pendingFileMigrations(fromVersion).map(migration => migration.name);
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = { createFileStorage, FILES };
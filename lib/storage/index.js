@@ -0,0 +1,60 @@
+// Storage backends. Every backend exposes the same repositories:
+//   users:       findById, findByEmail, count, create
+//   notes:       list, listDue, listReplies, get, create, update, delete, trash, restore, existingIds, listTrash, purge, search,
+//                labelCounts, claimOrphans
+//   unsentNotes: list, get, create, delete, trash, restore, existingIds, listTrash, purge, claimOrphans
+//   outbox:      get, create, update, listDue, listForNote, list, countByStatus
+//   attachments: listForNotes, get, getData, create, delete
+//   revisions:   listForNote, get, create, deleteForNote
+//   idempotencyKeys: get, create, purge
+//   schedulerRuns: create, list, purge
+//   emailAddresses: get, getMany, update, countUnsubscribed
+// plus migrate(), pendingMigrations(), transaction(fn) and close(). createStorage adds init().
+const { createFileStorage } = require('./file');
+const { createMemoryStorage } = require('./memory');
+const { createPostgresStorage } = require('./postgres');
+const { createSqliteStorage, defaultSqlitePath } = require('./sqlite');
+
+// Run schema migrations on startup unless AUTO_MIGRATE=false, in which case refuse to start on an old schema
+function withInit(storage) {
+  storage.init = async () => {
+    if (process.env.AUTO_MIGRATE === 'false') {
+      const pending = await storage.pendingMigrations();
+      if (pending.length > 0) {
+        throw new Error(`Storage schema is out of date (pending: ${pending.join(', ')}). Run "npm run migrate".`);
+      }
+      return [];
+    }
+    return storage.migrate();
+  };
+  return storage;
+}
+
+// Pick a backend from STORAGE, defaulting to PostgreSQL when DATABASE_URL is set (production) and files otherwise (local)
+function createStorage({ dataDir }) {
+  const backend = (process.env.STORAGE || (process.env.DATABASE_URL ? 'postgres' : 'file')).toLowerCase();
+
+  switch (backend) {
+    case 'postgres':
+      if (!process.env.DATABASE_URL) {
+        throw new Error('STORAGE=postgres needs DATABASE_URL to be set');
+      }
+      console.log('✓ Using PostgreSQL database for persistent storage');
+      return withInit(createPostgresStorage({ connectionString: process.env.DATABASE_URL }));
+    case 'sqlite': {
+      const filename = process.env.SQLITE_PATH || defaultSqlitePath(dataDir);
+      console.log(`✓ Using SQLite database for persistent storage (${filename})`);
+      return withInit(createSqliteStorage({ filename }));
+    }
+    case 'file':
+      console.log('✓ Using filesystem storage (local development)');
+      return withInit(createFileStorage({ dataDir }));
+    case 'memory':
+      console.warn('⚠ Using in-memory storage - notes will be lost when the server stops');
+      return withInit(createMemoryStorage());
+    default:
+      throw new Error(`Unknown STORAGE backend "${backend}" (expected postgres, sqlite, file or memory)`);
+  }
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,28 @@
+// In-memory storage - nothing survives a restart. Handy for tests and trying the app out.
+const { createCollectionStorage } = require('./collection');
+
+function createMemoryStorage() {
+  const collections = {};
+
+  // Hand out copies so callers can't change stored records without saving them
+  const storage = createCollectionStorage({
+    load(name) {
+      return structuredClone(collections[name] || []);
+    },
+
+    save(name, records) {
+      collections[name] = structuredClone(records);
+    }
+  });
+
+  return {
+    ...storage,
+    name: 'memory',
+    // Always starts empty, so there is never anything to upgrade
+    async migrate() { return []; },
+    async pendingMigrations() { return []; },
+    async close() {}
+  };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,99 @@
+// Schema migrations. Each file in migrations/ is named <number>_<description>.js and exports:
+//   up(db)     - upgrade a SQL database. db is { dialect, query(text, params), addColumn(table, column, definition) }
+//   file(data) - optional, upgrade the JSON file backend. data is { notes, unsentNotes, users, outbox, attachments, revisions, idempotencyKeys, schedulerRuns, emailAddresses } and is changed in place
+// SQL backends record applied migrations in the schema_migrations table; the JSON files carry a schemaVersion stamp.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'migrations');
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .map(file => ({
+      version: parseInt(file, 10),
+      name: file.replace(/\.js$/, ''),
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+function latestVersion() {
+  const migrations = loadMigrations();
+  return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+}
+
+// Helpers handed to up(db)
+function migrationContext(dialect, query) {
+  return {
+    dialect,
+    query,
+
+    // ADD COLUMN that is safe to run against a table that already has the column
+    async addColumn(table, column, definition) {
+      if (dialect === 'sqlite') {
+        const result = await query(`PRAGMA table_info(${table})`);
+        if (result.rows.some(row => row.name === column)) return;
+        await query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      } else {
+        await query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${definition}`);
+      }
+    }
+  };
+}
+
+// db: { dialect, query(text, params), transaction(fn) } where transaction passes fn a query function
+async function pendingSqlMigrations(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  const result = await db.query('SELECT version FROM schema_migrations');
+  const applied = new Set(result.rows.map(row => Number(row.version)));
+  return loadMigrations().filter(migration => !applied.has(migration.version));
+}
+
+// Apply pending migrations, each in its own transaction. Returns the names of the migrations that ran.
+async function runSqlMigrations(db) {
+  const pending = await pendingSqlMigrations(db);
+  for (const migration of pending) {
+    await db.transaction(async (query) => {
+      await migration.up(migrationContext(db.dialect, query));
+      await query(
+        'INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, new Date().toISOString()]
+      );
+    });
+    console.log(`  ✓ Applied migration ${migration.name}`);
+  }
+  return pending.map(migration => migration.name);
+}
+
+// File migrations that still need to run for data stamped with fromVersion
+function pendingFileMigrations(fromVersion) {
+  return loadMigrations().filter(migration => migration.version > fromVersion);
+}
+
+// Upgrade JSON file data in place from fromVersion to the latest version
+function runFileMigrations(data, fromVersion) {
+  const pending = pendingFileMigrations(fromVersion);
+  pending.forEach(migration => {
+    if (migration.file) {
+      migration.file(data);
+    }
+    console.log(`  ✓ Applied migration ${migration.name}`);
+  });
+  return pending.map(migration => migration.name);
+}
+
+module.exports = {
+  loadMigrations,
+  latestVersion,
+  pendingSqlMigrations,
+  runSqlMigrations,
+  pendingFileMigrations,
+  runFileMigrations
+};
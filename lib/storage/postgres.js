@@ -0,0 +1,55 @@
+// PostgreSQL storage (production)
+const { Pool } = require('pg');
+const { createSqlStorage } = require('./sql');
+const { pendingSqlMigrations, runSqlMigrations } = require('./migrate');
+
+function createPostgresStorage({ connectionString }) {
+  const pool = new Pool({
+    connectionString,
+    ssl: connectionString.includes('localhost') ? false : { rejectUnauthorized: false }
+  });
+
+  const query = (text, params) => pool.query(text, params);
+
+  // Run fn with a query function that uses one connection inside BEGIN/COMMIT
+  async function inTransaction(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn((text, params) => client.query(text, params));
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  const migrationDb = { dialect: 'postgres', query, transaction: inTransaction };
+
+  return {
+    ...createSqlStorage({ query, fullTextSearch: true }),
+    name: 'postgres',
+
+    async migrate() {
+      return runSqlMigrations(migrationDb);
+    },
+
+    async pendingMigrations() {
+      return (await pendingSqlMigrations(migrationDb)).map(migration => migration.name);
+    },
+
+    // Run fn with repositories that all share one transaction
+    async transaction(fn) {
+      return inTransaction(txQuery => fn(createSqlStorage({ query: txQuery, fullTextSearch: true })));
+    },
+
+    async close() {
+      await pool.end();
+    }
+  };
+}
+
+module.exports = { createPostgresStorage };
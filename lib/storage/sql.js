@@ -0,0 +1,835 @@
+// Repositories backed by SQL tables. The PostgreSQL and SQLite backends supply
+// a `query(text, params)` function that takes $1-style placeholders and resolves to { rows, rowCount }.
+// With `fullTextSearch` (PostgreSQL) notes are searched by the database; otherwise matching notes are ranked in-process.
+const { createSearchIndex, searchPage, MARK_START, MARK_END } = require('../search');
+
+const USER_COLUMNS = 'id, email, name, password_hash as "passwordHash", created_at as "createdAt"';
+
+const NOTE_COLUMNS = `
+  id,
+  owner_id as "ownerId",
+  content,
+  author,
+  name,
+  email,
+  email_sent as "emailSent",
+  deliver_at as "deliverAt",
+  timezone,
+  repeat_yearly as "repeatYearly",
+  allow_replies as "allowReplies",
+  in_reply_to as "inReplyTo",
+  reply_from as "replyFrom",
+  sealed,
+  encrypted,
+  mood,
+  created_at as "createdAt",
+  updated_at as "updatedAt",
+  deleted_at as "deletedAt"
+`;
+
+const UNSENT_NOTE_COLUMNS = 'id, owner_id as "ownerId", content, name, email, created_at as "createdAt", deleted_at as "deletedAt"';
+
+const OUTBOX_COLUMNS = `
+  id,
+  type,
+  recipient,
+  note_id as "noteId",
+  owner_id as "ownerId",
+  status,
+  attempts,
+  last_error as "lastError",
+  next_attempt_at as "nextAttemptAt",
+  sent_at as "sentAt",
+  created_at as "createdAt",
+  updated_at as "updatedAt"
+`;
+
+// Attachment metadata - the file itself is only read by attachments.getData
+const ATTACHMENT_COLUMNS = `
+  id,
+  note_id as "noteId",
+  owner_id as "ownerId",
+  filename,
+  content_type as "contentType",
+  size,
+  location,
+  created_at as "createdAt"
+`;
+
+const REVISION_COLUMNS = `
+  note_id as "noteId",
+  revision,
+  owner_id as "ownerId",
+  content,
+  name,
+  email,
+  created_at as "createdAt"
+`;
+
+const IDEMPOTENCY_KEY_COLUMNS = `
+  owner_id as "ownerId",
+  scope,
+  idempotency_key as "key",
+  resource_id as "resourceId",
+  created_at as "createdAt"
+`;
+
+const SCHEDULER_RUN_COLUMNS = `
+  id,
+  source,
+  dry_run as "dryRun",
+  started_at as "startedAt",
+  finished_at as "finishedAt",
+  queued,
+  sent,
+  retrying,
+  failed,
+  error,
+  report
+`;
+
+const EMAIL_ADDRESS_COLUMNS = `
+  email,
+  confirmed_at as "confirmedAt",
+  unsubscribed_at as "unsubscribedAt",
+  confirmation_sent_at as "confirmationSentAt",
+  created_at as "createdAt",
+  updated_at as "updatedAt"
+`;
+
+// Outbox fields that can be changed with outbox.update -> column name
+const OUTBOX_FIELDS = {
+  status: 'status',
+  attempts: 'attempts',
+  lastError: 'last_error',
+  nextAttemptAt: 'next_attempt_at',
+  sentAt: 'sent_at',
+  updatedAt: 'updated_at'
+};
+
+// Email address fields that can be changed with emailAddresses.update -> column name
+const EMAIL_ADDRESS_FIELDS = {
+  confirmedAt: 'confirmed_at',
+  unsubscribedAt: 'unsubscribed_at',
+  confirmationSentAt: 'confirmation_sent_at',
+  updatedAt: 'updated_at'
+};
+
+// Columns that come back from SQLite as 0/1 instead of true/false
+const BOOLEAN_FIELDS = ['emailSent', 'repeatYearly', 'yearly', 'allowReplies', 'sealed', 'encrypted', 'dryRun'];
+
+function normalizeRow(row) {
+  BOOLEAN_FIELDS.forEach(field => {
+    if (typeof row[field] === 'number') {
+      row[field] = row[field] === 1;
+    }
+  });
+  return row;
+}
+
+// What PostgreSQL full-text search looks at. Must match the index in migrations/007_note_search_index.js.
+const SEARCH_DOCUMENT = "to_tsvector('english', COALESCE(name, '') || ' ' || content)";
+
+const HEADLINE_OPTIONS = `StartSel=${MARK_START}, StopSel=${MARK_END}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+
+// Note fields that can be changed with notes.update -> column name
+const NOTE_FIELDS = {
+  ownerId: 'owner_id',
+  content: 'content',
+  name: 'name',
+  email: 'email',
+  emailSent: 'email_sent',
+  deliverAt: 'deliver_at',
+  timezone: 'timezone',
+  repeatYearly: 'repeat_yearly',
+  allowReplies: 'allow_replies',
+  encrypted: 'encrypted',
+  mood: 'mood',
+  updatedAt: 'updated_at'
+};
+
+function createSqlStorage({ query: runQuery, fullTextSearch = false }) {
+  async function query(text, params) {
+    const result = await runQuery(text, params);
+    result.rows = result.rows.map(normalizeRow);
+    return result;
+  }
+
+  const users = {
+    async findById(id) {
+      const result = await query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+      return result.rows[0] || null;
+    },
+
+    async findByEmail(email) {
+      const result = await query(`SELECT ${USER_COLUMNS} FROM users WHERE email = $1`, [email]);
+      return result.rows[0] || null;
+    },
+
+    async count() {
+      const result = await query('SELECT CAST(COUNT(*) AS INTEGER) as count FROM users');
+      return Number(result.rows[0].count);
+    },
+
+    async create(user) {
+      await query(
+        'INSERT INTO users (id, email, name, password_hash, created_at) VALUES ($1, $2, $3, $4, $5)',
+        [user.id, user.email, user.name, user.passwordHash, user.createdAt]
+      );
+      return user;
+    }
+  };
+
+  // Used to rank search results when the database can't
+  const notesIndex = createSearchIndex();
+
+  // Which of these ids are already used by a row of the table (in the trash or not)
+  async function findExistingIds(table, ids) {
+    const found = [];
+    for (let start = 0; start < ids.length; start += 500) {
+      const chunk = ids.slice(start, start + 500);
+      const placeholders = chunk.map((id, index) => `$${index + 1}`).join(', ');
+      const result = await query(`SELECT id FROM ${table} WHERE id IN (${placeholders})`, chunk);
+      found.push(...result.rows.map(row => row.id));
+    }
+    return found;
+  }
+
+  // Tags live in their own table - add them to note rows as a sorted `tags` array
+  async function withTags(rows) {
+    if (rows.length === 0) return rows;
+    const placeholders = rows.map((row, index) => `$${index + 1}`).join(', ');
+    const result = await query(
+      `SELECT note_id as "noteId", tag FROM note_tags WHERE note_id IN (${placeholders}) ORDER BY tag`,
+      rows.map(row => row.id)
+    );
+    const tagsByNote = {};
+    result.rows.forEach(({ noteId, tag }) => {
+      (tagsByNote[noteId] = tagsByNote[noteId] || []).push(tag);
+    });
+    return rows.map(row => ({ ...row, tags: tagsByNote[row.id] || [] }));
+  }
+
+  async function saveTags(noteId, tags) {
+    await query('DELETE FROM note_tags WHERE note_id = $1', [noteId]);
+    for (const tag of tags) {
+      await query('INSERT INTO note_tags (note_id, tag) VALUES ($1, $2)', [noteId, tag]);
+    }
+  }
+
+  // Each note's deliveries, soonest first: [{ deliverAt, sentAt, yearly }]
+  async function withDeliveries(rows) {
+    if (rows.length === 0) return rows;
+    const placeholders = rows.map((row, index) => `$${index + 1}`).join(', ');
+    const result = await query(
+      `SELECT note_id as "noteId", deliver_at as "deliverAt", sent_at as "sentAt", yearly
+       FROM note_deliveries WHERE note_id IN (${placeholders}) ORDER BY deliver_at`,
+      rows.map(row => row.id)
+    );
+    const deliveriesByNote = {};
+    result.rows.forEach(({ noteId, deliverAt, sentAt, yearly }) => {
+      (deliveriesByNote[noteId] = deliveriesByNote[noteId] || []).push({ deliverAt, sentAt, yearly: !!yearly });
+    });
+    return rows.map(row => ({ ...row, deliveries: deliveriesByNote[row.id] || [] }));
+  }
+
+  async function saveDeliveries(noteId, deliveries) {
+    await query('DELETE FROM note_deliveries WHERE note_id = $1', [noteId]);
+    for (const { deliverAt, sentAt, yearly } of deliveries) {
+      await query(
+        'INSERT INTO note_deliveries (note_id, deliver_at, sent_at, yearly) VALUES ($1, $2, $3, $4)',
+        [noteId, deliverAt, sentAt || null, !!yearly]
+      );
+    }
+  }
+
+  // The other people each note is addressed to, as a `recipients` array
+  async function withRecipients(rows) {
+    if (rows.length === 0) return rows;
+    const placeholders = rows.map((row, index) => `$${index + 1}`).join(', ');
+    const result = await query(
+      `SELECT note_id as "noteId", email FROM note_recipients WHERE note_id IN (${placeholders}) ORDER BY email`,
+      rows.map(row => row.id)
+    );
+    const recipientsByNote = {};
+    result.rows.forEach(({ noteId, email }) => {
+      (recipientsByNote[noteId] = recipientsByNote[noteId] || []).push(email);
+    });
+    return rows.map(row => ({ ...row, recipients: recipientsByNote[row.id] || [] }));
+  }
+
+  async function saveRecipients(noteId, recipients) {
+    await query('DELETE FROM note_recipients WHERE note_id = $1', [noteId]);
+    for (const email of recipients) {
+      await query('INSERT INTO note_recipients (note_id, email) VALUES ($1, $2)', [noteId, email]);
+    }
+  }
+
+  // Tags, deliveries and recipients of notes
+  async function withDetails(rows) {
+    return withRecipients(await withDeliveries(await withTags(rows)));
+  }
+
+  const notes = {
+    // Notes in the trash are left out of list, get, search and labelCounts - see listTrash.
+    // Without an ownerId every note is returned (used by the email scheduler)
+    async list({ ownerId } = {}) {
+      const result = await query(`
+        SELECT ${NOTE_COLUMNS}
+        FROM notes
+        WHERE deleted_at IS NULL ${ownerId ? 'AND owner_id = $1' : ''}
+        ORDER BY created_at DESC
+      `, ownerId ? [ownerId] : []);
+      return withDetails(result.rows);
+    },
+
+    // Notes whose capsule email is due: they have an address (their own or a recipient's) and a delivery that
+    // hasn't been sent and whose date has passed
+    async listDue(now) {
+      const result = await query(`
+        SELECT ${NOTE_COLUMNS}
+        FROM notes
+        WHERE deleted_at IS NULL
+          AND ((email IS NOT NULL AND email <> '') OR id IN (SELECT note_id FROM note_recipients))
+          AND id IN (
+          SELECT note_id FROM note_deliveries WHERE sent_at IS NULL AND deliver_at <= $1
+        )
+        ORDER BY deliver_at
+      `, [now]);
+      return withDetails(result.rows);
+    },
+
+    // Replies written to a note from the link in its capsule emails, in the trash or not
+    async listReplies(noteId) {
+      const result = await query(`SELECT ${NOTE_COLUMNS} FROM notes WHERE in_reply_to = $1 ORDER BY created_at`, [noteId]);
+      return withDetails(result.rows);
+    },
+
+    async get(id, ownerId) {
+      const result = ownerId
+        ? await query(`SELECT ${NOTE_COLUMNS} FROM notes WHERE id = $1 AND owner_id = $2 AND deleted_at IS NULL`, [id, ownerId])
+        : await query(`SELECT ${NOTE_COLUMNS} FROM notes WHERE id = $1 AND deleted_at IS NULL`, [id]);
+      return (await withDetails(result.rows))[0] || null;
+    },
+
+    async create(note) {
+      await query(
+        `INSERT INTO notes (id, owner_id, content, author, name, email, email_sent, deliver_at, timezone, repeat_yearly, allow_replies,
+           in_reply_to, reply_from, sealed, encrypted, mood, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)`,
+        [note.id, note.ownerId, note.content, note.author, note.name, note.email, note.emailSent, note.deliverAt, note.timezone || null,
+          !!note.repeatYearly, !!note.allowReplies, note.inReplyTo || null, note.replyFrom || null, !!note.sealed, !!note.encrypted,
+          note.mood || null, note.createdAt, note.updatedAt]
+      );
+      await saveTags(note.id, note.tags || []);
+      await saveDeliveries(note.id, note.deliveries || []);
+      await saveRecipients(note.id, note.recipients || []);
+      return note;
+    },
+
+    // Apply changes to a note and return the updated note (null if it doesn't exist)
+    async update(id, changes) {
+      if ((changes.tags || changes.deliveries || changes.recipients) && await notes.get(id)) {
+        if (changes.tags) await saveTags(id, changes.tags);
+        if (changes.deliveries) await saveDeliveries(id, changes.deliveries);
+        if (changes.recipients) await saveRecipients(id, changes.recipients);
+      }
+
+      const fields = Object.keys(changes).filter(field => NOTE_FIELDS[field]);
+      if (fields.length === 0) return notes.get(id);
+
+      const assignments = fields.map((field, index) => `${NOTE_FIELDS[field]} = $${index + 1}`);
+      const values = fields.map(field => changes[field]);
+      const result = await query(
+        `UPDATE notes SET ${assignments.join(', ')} WHERE id = $${values.length + 1} RETURNING ${NOTE_COLUMNS}`,
+        [...values, id]
+      );
+      return (await withDetails(result.rows))[0] || null;
+    },
+
+    // Delete a note for good, wherever it is
+    async delete(id, ownerId) {
+      const result = ownerId
+        ? await query('DELETE FROM notes WHERE id = $1 AND owner_id = $2', [id, ownerId])
+        : await query('DELETE FROM notes WHERE id = $1', [id]);
+      if (result.rowCount > 0) {
+        await query('DELETE FROM note_tags WHERE note_id = $1', [id]);
+        await query('DELETE FROM note_deliveries WHERE note_id = $1', [id]);
+        await query('DELETE FROM note_recipients WHERE note_id = $1', [id]);
+      }
+      return result.rowCount > 0;
+    },
+
+    // Move a note to the trash. Returns false if there is no such note (or it is already in the trash).
+    async trash(id, ownerId, deletedAt = new Date().toISOString()) {
+      const result = await query(
+        'UPDATE notes SET deleted_at = $1 WHERE id = $2 AND owner_id = $3 AND deleted_at IS NULL',
+        [deletedAt, id, ownerId]
+      );
+      return result.rowCount > 0;
+    },
+
+    // Take a note out of the trash
+    async restore(id, ownerId) {
+      const result = await query(
+        'UPDATE notes SET deleted_at = NULL WHERE id = $1 AND owner_id = $2 AND deleted_at IS NOT NULL',
+        [id, ownerId]
+      );
+      return result.rowCount > 0;
+    },
+
+    // Which of these ids are taken by a note of any user, including notes in the trash (used by imports)
+    async existingIds(ids) {
+      return findExistingIds('notes', ids);
+    },
+
+    // Notes in the trash, most recently deleted first
+    async listTrash({ ownerId } = {}) {
+      const result = await query(`
+        SELECT ${NOTE_COLUMNS}
+        FROM notes
+        WHERE deleted_at IS NOT NULL ${ownerId ? 'AND owner_id = $1' : ''}
+        ORDER BY deleted_at DESC
+      `, ownerId ? [ownerId] : []);
+      return withDetails(result.rows);
+    },
+
+    // Delete notes from the trash for good: one note (id), everything of one owner, and/or everything trashed
+    // before a date. Returns the ids of the deleted notes.
+    async purge({ id, ownerId, before } = {}) {
+      const params = [];
+      const conditions = ['deleted_at IS NOT NULL'];
+      if (id) conditions.push(`id = $${params.push(id)}`);
+      if (ownerId) conditions.push(`owner_id = $${params.push(ownerId)}`);
+      if (before) conditions.push(`deleted_at < $${params.push(before)}`);
+
+      const result = await query(`SELECT id FROM notes WHERE ${conditions.join(' AND ')}`, params);
+      const ids = result.rows.map(row => row.id);
+      for (const noteId of ids) {
+        await notes.delete(noteId);
+      }
+      return ids;
+    },
+
+    // How often each tag and mood is used: { tags: [{ tag, count }], moods: [{ mood, count }] }, most used first.
+    // Sealed notes that are still locked at `now` are not counted.
+    async labelCounts({ ownerId, now = new Date().toISOString() } = {}) {
+      const params = [now];
+      const owner = ownerId ? `AND notes.owner_id = $${params.push(ownerId)}` : '';
+      const unlocked = '(notes.sealed IS NOT TRUE OR notes.deliver_at <= $1) AND notes.deleted_at IS NULL';
+
+      const tags = await query(`
+        SELECT note_tags.tag as tag, CAST(COUNT(*) AS INTEGER) as count
+        FROM note_tags JOIN notes ON notes.id = note_tags.note_id
+        WHERE ${unlocked} ${owner}
+        GROUP BY note_tags.tag
+        ORDER BY count DESC, tag
+      `, params);
+      const moods = await query(`
+        SELECT mood, CAST(COUNT(*) AS INTEGER) as count
+        FROM notes
+        WHERE mood IS NOT NULL AND ${unlocked} ${owner}
+        GROUP BY mood
+        ORDER BY count DESC, mood
+      `, params);
+
+      return {
+        tags: tags.rows.map(row => ({ tag: row.tag, count: Number(row.count) })),
+        moods: moods.rows.map(row => ({ mood: row.mood, count: Number(row.count) }))
+      };
+    },
+
+    // One page of notes matching a search and filters: { notes, total }
+    //   q        - words to search for. Results are ranked best first and get a `rank` and a `snippet`
+    //              (matched words wrapped in MARK_START/MARK_END). Without q notes come newest first.
+    //   from, to - only notes written at or after `from` and before `to` (ISO dates)
+    //   hasEmail - true/false to only return notes with/without an email address
+    //   tags     - only notes that have every one of these tags
+    //   mood     - only notes with this mood
+    //   now      - sealed notes that are still locked at this time are left out of text, tag and mood searches
+    // Encrypted notes are left out of text searches - the server can't read them.
+    async search({ ownerId, q, from, to, hasEmail, tags = [], mood, now = new Date().toISOString(), limit = 20, offset = 0 } = {}) {
+      const params = [];
+      const param = value => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+
+      const conditions = ['deleted_at IS NULL'];
+      if (ownerId) conditions.push(`owner_id = ${param(ownerId)}`);
+      if (from) conditions.push(`created_at >= ${param(from)}`);
+      if (to) conditions.push(`created_at < ${param(to)}`);
+      if (hasEmail === true) conditions.push('email IS NOT NULL');
+      if (hasEmail === false) conditions.push('email IS NULL');
+      tags.forEach(tag => conditions.push(`id IN (SELECT note_id FROM note_tags WHERE tag = ${param(tag)})`));
+      if (mood) conditions.push(`mood = ${param(mood)}`);
+      if (q || tags.length > 0 || mood) conditions.push(`(sealed IS NOT TRUE OR deliver_at <= ${param(now)})`);
+      if (q) conditions.push('encrypted IS NOT TRUE');
+
+      if (q && !fullTextSearch) {
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const result = await query(`SELECT ${NOTE_COLUMNS} FROM notes ${where}`, params);
+        const page = searchPage(notesIndex, result.rows, q, { limit, offset });
+        return { ...page, notes: await withDetails(page.notes) };
+      }
+
+      if (q) {
+        conditions.push(`${SEARCH_DOCUMENT} @@ search_query`);
+        const source = `FROM notes, websearch_to_tsquery('english', ${param(q)}) search_query WHERE ${conditions.join(' AND ')}`;
+        const count = await query(`SELECT CAST(COUNT(*) AS INTEGER) as count ${source}`, params);
+        const result = await query(`
+          SELECT ${NOTE_COLUMNS},
+            ts_rank(${SEARCH_DOCUMENT}, search_query) as rank,
+            ts_headline('english', content, search_query, ${param(HEADLINE_OPTIONS)}) as snippet
+          ${source}
+          ORDER BY rank DESC, created_at DESC
+          LIMIT ${param(limit)} OFFSET ${param(offset)}
+        `, params);
+        return { notes: await withDetails(result.rows), total: Number(count.rows[0].count) };
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const count = await query(`SELECT CAST(COUNT(*) AS INTEGER) as count FROM notes ${where}`, params);
+      const result = await query(`
+        SELECT ${NOTE_COLUMNS}
+        FROM notes
+        ${where}
+        ORDER BY created_at DESC
+        LIMIT ${param(limit)} OFFSET ${param(offset)}
+      `, params);
+      return { notes: await withDetails(result.rows), total: Number(count.rows[0].count) };
+    },
+
+    // Give notes without an owner to a user, returns how many were claimed
+    async claimOrphans(ownerId) {
+      const result = await query('UPDATE notes SET owner_id = $1 WHERE owner_id IS NULL', [ownerId]);
+      return result.rowCount;
+    }
+  };
+
+  // The trash works the same way as for notes
+  const unsentNotes = {
+    async list({ ownerId } = {}) {
+      const result = await query(`
+        SELECT ${UNSENT_NOTE_COLUMNS}
+        FROM unsent_notes
+        WHERE deleted_at IS NULL ${ownerId ? 'AND owner_id = $1' : ''}
+        ORDER BY created_at DESC
+      `, ownerId ? [ownerId] : []);
+      return result.rows;
+    },
+
+    async get(id, ownerId) {
+      const result = ownerId
+        ? await query(`SELECT ${UNSENT_NOTE_COLUMNS} FROM unsent_notes WHERE id = $1 AND owner_id = $2 AND deleted_at IS NULL`, [id, ownerId])
+        : await query(`SELECT ${UNSENT_NOTE_COLUMNS} FROM unsent_notes WHERE id = $1 AND deleted_at IS NULL`, [id]);
+      return result.rows[0] || null;
+    },
+
+    async create(note) {
+      await query(
+        `INSERT INTO unsent_notes (id, owner_id, content, name, email, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [note.id, note.ownerId, note.content, note.name, note.email, note.createdAt]
+      );
+      return note;
+    },
+
+    async delete(id, ownerId) {
+      const result = ownerId
+        ? await query('DELETE FROM unsent_notes WHERE id = $1 AND owner_id = $2', [id, ownerId])
+        : await query('DELETE FROM unsent_notes WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    },
+
+    async trash(id, ownerId, deletedAt = new Date().toISOString()) {
+      const result = await query(
+        'UPDATE unsent_notes SET deleted_at = $1 WHERE id = $2 AND owner_id = $3 AND deleted_at IS NULL',
+        [deletedAt, id, ownerId]
+      );
+      return result.rowCount > 0;
+    },
+
+    async restore(id, ownerId) {
+      const result = await query(
+        'UPDATE unsent_notes SET deleted_at = NULL WHERE id = $1 AND owner_id = $2 AND deleted_at IS NOT NULL',
+        [id, ownerId]
+      );
+      return result.rowCount > 0;
+    },
+
+    async existingIds(ids) {
+      return findExistingIds('unsent_notes', ids);
+    },
+
+    async listTrash({ ownerId } = {}) {
+      const result = await query(`
+        SELECT ${UNSENT_NOTE_COLUMNS}
+        FROM unsent_notes
+        WHERE deleted_at IS NOT NULL ${ownerId ? 'AND owner_id = $1' : ''}
+        ORDER BY deleted_at DESC
+      `, ownerId ? [ownerId] : []);
+      return result.rows;
+    },
+
+    async purge({ id, ownerId, before } = {}) {
+      const params = [];
+      const conditions = ['deleted_at IS NOT NULL'];
+      if (id) conditions.push(`id = $${params.push(id)}`);
+      if (ownerId) conditions.push(`owner_id = $${params.push(ownerId)}`);
+      if (before) conditions.push(`deleted_at < $${params.push(before)}`);
+
+      const result = await query(`DELETE FROM unsent_notes WHERE ${conditions.join(' AND ')} RETURNING id`, params);
+      return result.rows.map(row => row.id);
+    },
+
+    async claimOrphans(ownerId) {
+      const result = await query('UPDATE unsent_notes SET owner_id = $1 WHERE owner_id IS NULL', [ownerId]);
+      return result.rowCount;
+    }
+  };
+
+  const outbox = {
+    async get(id) {
+      const result = await query(`SELECT ${OUTBOX_COLUMNS} FROM email_outbox WHERE id = $1`, [id]);
+      return result.rows[0] || null;
+    },
+
+    async create(entry) {
+      await query(
+        `INSERT INTO email_outbox (id, type, recipient, note_id, owner_id, status, attempts, last_error, next_attempt_at, sent_at, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+        [entry.id, entry.type, entry.recipient, entry.noteId, entry.ownerId, entry.status, entry.attempts, entry.lastError,
+          entry.nextAttemptAt, entry.sentAt, entry.createdAt, entry.updatedAt]
+      );
+      return entry;
+    },
+
+    async update(id, changes) {
+      const fields = Object.keys(changes).filter(field => OUTBOX_FIELDS[field]);
+      if (fields.length === 0) return outbox.get(id);
+
+      const assignments = fields.map((field, index) => `${OUTBOX_FIELDS[field]} = $${index + 1}`);
+      const values = fields.map(field => changes[field]);
+      const result = await query(
+        `UPDATE email_outbox SET ${assignments.join(', ')} WHERE id = $${values.length + 1} RETURNING ${OUTBOX_COLUMNS}`,
+        [...values, id]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Pending emails whose next attempt time has passed, oldest first
+    async listDue(now, limit = 50) {
+      const result = await query(`
+        SELECT ${OUTBOX_COLUMNS}
+        FROM email_outbox
+        WHERE status = 'pending' AND next_attempt_at <= $1
+        ORDER BY next_attempt_at
+        LIMIT $2
+      `, [now, limit]);
+      return result.rows;
+    },
+
+    // Every email queued for a note, newest first
+    async listForNote(noteId) {
+      const result = await query(
+        `SELECT ${OUTBOX_COLUMNS} FROM email_outbox WHERE note_id = $1 ORDER BY created_at DESC`,
+        [noteId]
+      );
+      return result.rows;
+    },
+
+    // The latest emails of every user, newest first, optionally only those with one status
+    async list({ status, limit = 100 } = {}) {
+      const result = status
+        ? await query(`SELECT ${OUTBOX_COLUMNS} FROM email_outbox WHERE status = $1 ORDER BY created_at DESC LIMIT $2`, [status, limit])
+        : await query(`SELECT ${OUTBOX_COLUMNS} FROM email_outbox ORDER BY created_at DESC LIMIT $1`, [limit]);
+      return result.rows;
+    },
+
+    // How many emails have each status: { pending, sent, failed, cancelled }
+    async countByStatus() {
+      const result = await query('SELECT status, COUNT(*) as count FROM email_outbox GROUP BY status');
+      const counts = { pending: 0, sent: 0, failed: 0, cancelled: 0 };
+      result.rows.forEach(row => { counts[row.status] = Number(row.count); });
+      return counts;
+    }
+  };
+
+  const attachments = {
+    // Attachments of several notes at once, oldest first
+    async listForNotes(noteIds) {
+      if (noteIds.length === 0) return [];
+      const placeholders = noteIds.map((id, index) => `$${index + 1}`).join(', ');
+      const result = await query(
+        `SELECT ${ATTACHMENT_COLUMNS} FROM note_attachments WHERE note_id IN (${placeholders}) ORDER BY created_at`,
+        noteIds
+      );
+      return result.rows;
+    },
+
+    async get(id, ownerId) {
+      const result = ownerId
+        ? await query(`SELECT ${ATTACHMENT_COLUMNS} FROM note_attachments WHERE id = $1 AND owner_id = $2`, [id, ownerId])
+        : await query(`SELECT ${ATTACHMENT_COLUMNS} FROM note_attachments WHERE id = $1`, [id]);
+      return result.rows[0] || null;
+    },
+
+    // The stored file as a Buffer (null when it is kept on disk instead)
+    async getData(id) {
+      const result = await query('SELECT data FROM note_attachments WHERE id = $1', [id]);
+      const row = result.rows[0];
+      return row && row.data ? Buffer.from(row.data) : null;
+    },
+
+    // attachment.data is a Buffer, or null for files kept on disk
+    async create(attachment) {
+      const { data, ...metadata } = attachment;
+      await query(
+        `INSERT INTO note_attachments (id, note_id, owner_id, filename, content_type, size, location, data, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [metadata.id, metadata.noteId, metadata.ownerId, metadata.filename, metadata.contentType, metadata.size,
+          metadata.location, data || null, metadata.createdAt]
+      );
+      return metadata;
+    },
+
+    async delete(id) {
+      const result = await query('DELETE FROM note_attachments WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    }
+  };
+
+  const revisions = {
+    // Every version of a note, newest first
+    async listForNote(noteId) {
+      const result = await query(
+        `SELECT ${REVISION_COLUMNS} FROM note_revisions WHERE note_id = $1 ORDER BY revision DESC`,
+        [noteId]
+      );
+      return result.rows;
+    },
+
+    async get(noteId, revision) {
+      const result = await query(
+        `SELECT ${REVISION_COLUMNS} FROM note_revisions WHERE note_id = $1 AND revision = $2`,
+        [noteId, revision]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Store the next version of a note, numbered after the latest one
+    async create({ noteId, ownerId, content, name, email, createdAt }) {
+      const latest = await query('SELECT MAX(revision) as revision FROM note_revisions WHERE note_id = $1', [noteId]);
+      const revision = Number(latest.rows[0].revision || 0) + 1;
+      await query(
+        `INSERT INTO note_revisions (note_id, revision, owner_id, content, name, email, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [noteId, revision, ownerId, content, name, email, createdAt]
+      );
+      return { noteId, revision, ownerId, content, name, email, createdAt };
+    },
+
+    async deleteForNote(noteId) {
+      const result = await query('DELETE FROM note_revisions WHERE note_id = $1', [noteId]);
+      return result.rowCount;
+    }
+  };
+
+  const idempotencyKeys = {
+    async get(ownerId, scope, key) {
+      const result = await query(
+        `SELECT ${IDEMPOTENCY_KEY_COLUMNS} FROM idempotency_keys WHERE owner_id = $1 AND scope = $2 AND idempotency_key = $3`,
+        [ownerId, scope, key]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Fails if the key was already used - the primary key makes sure only one of two racing requests gets it
+    async create(record) {
+      await query(
+        `INSERT INTO idempotency_keys (owner_id, scope, idempotency_key, resource_id, created_at)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [record.ownerId, record.scope, record.key, record.resourceId, record.createdAt]
+      );
+      return record;
+    },
+
+    // Forget keys used before a date, returns how many were removed
+    async purge({ before }) {
+      const result = await query('DELETE FROM idempotency_keys WHERE created_at < $1', [before]);
+      return result.rowCount;
+    }
+  };
+
+  // The report is kept as JSON text
+  const schedulerRun = row => ({ ...row, report: row.report ? JSON.parse(row.report) : null });
+
+  const schedulerRuns = {
+    async create(run) {
+      await query(
+        `INSERT INTO scheduler_runs (id, source, dry_run, started_at, finished_at, queued, sent, retrying, failed, error, report)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [run.id, run.source, run.dryRun, run.startedAt, run.finishedAt, run.queued, run.sent, run.retrying, run.failed,
+          run.error, run.report ? JSON.stringify(run.report) : null]
+      );
+      return run;
+    },
+
+    // Newest first
+    async list({ limit = 50 } = {}) {
+      const result = await query(`SELECT ${SCHEDULER_RUN_COLUMNS} FROM scheduler_runs ORDER BY started_at DESC LIMIT $1`, [limit]);
+      return result.rows.map(schedulerRun);
+    },
+
+    async purge({ before }) {
+      const result = await query('DELETE FROM scheduler_runs WHERE started_at < $1', [before]);
+      return result.rowCount;
+    }
+  };
+
+  // Addresses are stored in lower case - callers pass them that way
+  const emailAddresses = {
+    async get(email) {
+      const result = await query(`SELECT ${EMAIL_ADDRESS_COLUMNS} FROM email_addresses WHERE email = $1`, [email]);
+      return result.rows[0] || null;
+    },
+
+    // The records of several addresses at once (addresses without one are left out)
+    async getMany(emails) {
+      if (emails.length === 0) return [];
+      const placeholders = emails.map((email, index) => `$${index + 1}`).join(', ');
+      const result = await query(`SELECT ${EMAIL_ADDRESS_COLUMNS} FROM email_addresses WHERE email IN (${placeholders})`, emails);
+      return result.rows;
+    },
+
+    // Apply changes to an address, adding it first if it isn't known yet. Returns the updated record.
+    async update(email, changes) {
+      const now = new Date().toISOString();
+      await query(
+        'INSERT INTO email_addresses (email, created_at, updated_at) VALUES ($1, $2, $2) ON CONFLICT (email) DO NOTHING',
+        [email, now]
+      );
+      const fields = Object.keys(changes).filter(field => EMAIL_ADDRESS_FIELDS[field]);
+      if (fields.length === 0) return emailAddresses.get(email);
+
+      const assignments = fields.map((field, index) => `${EMAIL_ADDRESS_FIELDS[field]} = $${index + 1}`);
+      const values = fields.map(field => changes[field]);
+      const result = await query(
+        `UPDATE email_addresses SET ${assignments.join(', ')} WHERE email = $${values.length + 1} RETURNING ${EMAIL_ADDRESS_COLUMNS}`,
+        [...values, email]
+      );
+      return result.rows[0] || null;
+    },
+
+    // How many addresses have unsubscribed
+    async countUnsubscribed() {
+      const result = await query('SELECT COUNT(*) as count FROM email_addresses WHERE unsubscribed_at IS NOT NULL');
+      return Number(result.rows[0].count);
+    }
+  };
+
+  return { users, notes, unsentNotes, outbox, attachments, revisions, idempotencyKeys, schedulerRuns, emailAddresses };
+}
+
+module.exports = { createSqlStorage };
@@ -0,0 +1,86 @@
+// SQLite storage - transactional storage in a single file, no database server needed.
+// Uses the same tables as the PostgreSQL backend (see migrations/).
+const path = require('path');
+const { createSqlStorage } = require('./sql');
+const { pendingSqlMigrations, runSqlMigrations } = require('./migrate');
+
+// SQLite can't bind booleans, Dates or undefined
+function toSqliteValue(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+function createSqliteStorage({ filename }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('STORAGE=sqlite needs the better-sqlite3 package. Run "npm install better-sqlite3".');
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+
+  // Run a query written with PostgreSQL-style $1 placeholders
+  async function query(text, params = []) {
+    const values = [];
+    const sql = text.replace(/\$(\d+)/g, (match, index) => {
+      values.push(toSqliteValue(params[Number(index) - 1]));
+      return '?';
+    });
+
+    const statement = db.prepare(sql);
+    if (statement.reader) {
+      return { rows: statement.all(...values), rowCount: 0 };
+    }
+    const info = statement.run(...values);
+    return { rows: [], rowCount: info.changes };
+  }
+
+  // better-sqlite3 is synchronous, so every query inside fn finishes before any other request gets a turn
+  async function inTransaction(fn) {
+    db.exec('BEGIN');
+    try {
+      const result = await fn(query);
+      db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  const storage = createSqlStorage({ query });
+  const migrationDb = { dialect: 'sqlite', query, transaction: inTransaction };
+
+  return {
+    ...storage,
+    name: 'sqlite',
+
+    async migrate() {
+      return runSqlMigrations(migrationDb);
+    },
+
+    async pendingMigrations() {
+      return (await pendingSqlMigrations(migrationDb)).map(migration => migration.name);
+    },
+
+    async transaction(fn) {
+      return inTransaction(() => fn(storage));
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
+
+// Default database file lives next to notes.json
+function defaultSqlitePath(dataDir) {
+  return path.join(dataDir, 'diary.sqlite');
+}
+
+module.exports = { createSqliteStorage, defaultSqlitePath };
@@ -0,0 +1,129 @@
+// Email templates. Each email is a set of files in templates/emails:
+//   <name>.subject.txt, <name>.html and <name>.txt
+// The HTML and text bodies are wrapped in layout.html / layout.txt, which receive the rendered body as {{{body}}}.
+//
+// Syntax (a small subset of Mustache):
+//   {{name}}               value, HTML-escaped in .html files
+//   {{{name}}}             value, inserted as-is
+//   {{#name}}...{{/name}}  only rendered when name is set (not empty, false or null).
+//                          For a list, rendered once per item with the item's fields available inside.
+//   {{^name}}...{{/name}}  only rendered when name is not set
+//
+// Set EMAIL_TEMPLATES_DIR to a folder of your own files to change the wording or styling.
+// Any file missing from that folder falls back to the built-in one.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'emails');
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function lookup(vars, key) {
+  return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), vars);
+}
+
+function isSet(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== undefined && value !== null && value !== false && value !== '';
+}
+
+// Tags: {{{raw}}}, then {{#section}}, {{^inverted}}, {{/end}} and {{value}}
+const TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{([#^/]?)\s*([\w.]+)\s*\}\}/g;
+
+// Split a template into text, values and (nested) sections. Templates are only parsed here, never the values
+// filled in, so a note that contains {{...}} comes out as written.
+function parseTemplate(template) {
+  // A section tag on a line of its own doesn't leave an empty line behind
+  const standalone = template.replace(/^[ \t]*(\{\{[#^/][^}]*\}\})[ \t]*\r?\n/gm, '$1');
+
+  const root = { children: [] };
+  const open = [root];
+  let position = 0;
+  for (const match of standalone.matchAll(TAG)) {
+    const current = open[open.length - 1];
+    if (match.index > position) {
+      current.children.push({ type: 'text', text: standalone.slice(position, match.index) });
+    }
+    position = match.index + match[0].length;
+
+    const [tag, rawKey, kind, key] = match;
+    if (rawKey) {
+      current.children.push({ type: 'raw', key: rawKey });
+    } else if (kind === '#' || kind === '^') {
+      const section = { type: kind === '#' ? 'section' : 'inverted', key, children: [] };
+      current.children.push(section);
+      open.push(section);
+    } else if (kind === '/') {
+      // A closing tag that doesn't match the open section is left as it is
+      if (open.length > 1 && current.key === key) {
+        open.pop();
+      } else {
+        current.children.push({ type: 'text', text: tag });
+      }
+    } else {
+      current.children.push({ type: 'value', key });
+    }
+  }
+  if (position < standalone.length) {
+    open[open.length - 1].children.push({ type: 'text', text: standalone.slice(position) });
+  }
+  return root.children;
+}
+
+function renderNodes(nodes, vars, escape) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.text;
+    const value = lookup(vars, node.key);
+    if (node.type === 'raw') return value == null ? '' : String(value);
+    if (node.type === 'value') return value == null ? '' : escape(String(value));
+    if (node.type === 'section' && Array.isArray(value)) {
+      return value.map(item => renderNodes(node.children, { ...vars, ...item }, escape)).join('');
+    }
+    return (node.type === 'section' ? isSet(value) : !isSet(value)) ? renderNodes(node.children, vars, escape) : '';
+  }).join('');
+}
+
+// Fill in a template string. `escape` is applied to {{double}} tags only.
+function renderString(template, vars, escape) {
+  return renderNodes(parseTemplate(template), vars, escape);
+}
+
+function createTemplateRenderer({ dir = DEFAULT_TEMPLATES_DIR, overrideDir = process.env.EMAIL_TEMPLATES_DIR } = {}) {
+  // Files are read on every render so edits show up without restarting the server
+  function readTemplate(filename) {
+    if (overrideDir) {
+      const custom = path.join(overrideDir, filename);
+      if (fs.existsSync(custom)) {
+        return fs.readFileSync(custom, 'utf8');
+      }
+    }
+    return fs.readFileSync(path.join(dir, filename), 'utf8');
+  }
+
+  // Render an email template. Returns { subject, html, text } ready for the mail transport.
+  function renderEmail(name, vars = {}) {
+    const keep = value => value;
+    const subject = renderString(readTemplate(`${name}.subject.txt`), vars, keep).trim();
+    const layoutVars = { ...vars, subject };
+
+    const htmlBody = renderString(readTemplate(`${name}.html`), vars, escapeHtml);
+    const textBody = renderString(readTemplate(`${name}.txt`), vars, keep);
+
+    return {
+      subject,
+      html: renderString(readTemplate('layout.html'), { ...layoutVars, body: htmlBody }, escapeHtml),
+      text: renderString(readTemplate('layout.txt'), { ...layoutVars, body: textBody.trim() }, keep).trim() + '\n'
+    };
+  }
+
+  return { renderEmail };
+}
+
+module.exports = { createTemplateRenderer, renderString, escapeHtml, DEFAULT_TEMPLATES_DIR };
@@ -0,0 +1,134 @@
+// Request validation: check a request body, query string or route parameters against a schema.
+//
+// A schema lists every field that may be sent, with its rule:
+//   type        'string', 'email', 'date', 'boolean', 'integer' or 'any' (left to `parse`)
+//   required    the field has to be there and not empty
+//   nullable    null or an empty string is accepted and becomes null
+//   trim        strings are trimmed first, unless this is false (passwords)
+//   minLength, maxLength, min, max, oneOf
+//   parse       value => { value } or { error }, for checks of its own (tags, moods, dates in the future...)
+// Fields that aren't in the schema are rejected.
+
+// Error codes of the details of a validation_failed error
+const VALIDATION_CODES = [
+  'required',
+  'invalid_type',
+  'invalid_email',
+  'invalid_date',
+  'too_short',
+  'too_long',
+  'out_of_range',
+  'invalid_value',
+  'unknown_field'
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_EMAIL_LENGTH = 254;
+
+const TYPE_NAMES = {
+  string: 'text',
+  email: 'an email address',
+  date: 'a date',
+  boolean: 'true or false',
+  integer: 'a whole number'
+};
+
+function problem(field, code, message) {
+  return { error: { field, code, message } };
+}
+
+// Check one field. Query strings and route parameters only carry text, so with fromText booleans and
+// numbers are read from it. Returns { value }, { skip } (not sent) or { error }.
+function checkField(field, rule, raw, { fromText }) {
+  if (raw === undefined) {
+    return rule.required ? problem(field, 'required', `${field} is required`) : { skip: true };
+  }
+
+  let value = typeof raw === 'string' && rule.trim !== false ? raw.trim() : raw;
+
+  if (rule.type !== 'any' && (value === null || value === '')) {
+    if (rule.required) return problem(field, 'required', `${field} is required`);
+    if (rule.nullable) return { value: null };
+    if (fromText) return { skip: true };
+    return problem(field, 'invalid_type', `${field} must be ${TYPE_NAMES[rule.type]}`);
+  }
+
+  switch (rule.type) {
+    case 'string':
+    case 'email':
+    case 'date':
+      if (typeof value !== 'string') {
+        return problem(field, 'invalid_type', `${field} must be ${TYPE_NAMES[rule.type]}`);
+      }
+      break;
+    case 'boolean':
+      if (fromText && (value === 'true' || value === 'false')) value = value === 'true';
+      if (typeof value !== 'boolean') {
+        return problem(field, 'invalid_type', `${field} must be true or false`);
+      }
+      break;
+    case 'integer':
+      if (fromText && typeof value === 'string' && /^-?\d+$/.test(value)) value = Number(value);
+      if (!Number.isInteger(value)) {
+        return problem(field, 'invalid_type', `${field} must be a whole number`);
+      }
+      break;
+    default:
+      break;
+  }
+
+  if (rule.type === 'email' && (value.length > MAX_EMAIL_LENGTH || !EMAIL_PATTERN.test(value))) {
+    return problem(field, 'invalid_email', `${field} must be a valid email address`);
+  }
+  if (rule.type === 'date' && isNaN(new Date(value).getTime())) {
+    return problem(field, 'invalid_date', `${field} must be a valid date`);
+  }
+  if (typeof value === 'string' && rule.minLength !== undefined && value.length < rule.minLength) {
+    return problem(field, 'too_short', `${field} must be at least ${rule.minLength} characters`);
+  }
+  if (typeof value === 'string' && rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return problem(field, 'too_long', `${field} must be at most ${rule.maxLength} characters`);
+  }
+  if (typeof value === 'number' && ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max))) {
+    const range = rule.max === undefined ? `at least ${rule.min}` : `between ${rule.min} and ${rule.max}`;
+    return problem(field, 'out_of_range', `${field} must be ${range}`);
+  }
+  if (rule.oneOf && !rule.oneOf.includes(value)) {
+    return problem(field, 'invalid_value', `${field} must be one of: ${rule.oneOf.join(', ')}`);
+  }
+  if (rule.parse) {
+    const parsed = rule.parse(value);
+    if (parsed.error) return problem(field, 'invalid_value', parsed.error);
+    value = parsed.value;
+  }
+  return { value };
+}
+
+// Check input against a schema. Returns { value } with the cleaned up fields that were sent,
+// or { errors: [{ field, code, message }] } listing everything wrong with it.
+function validate(schema, input, { fromText = false } = {}) {
+  if (input === undefined || input === null) input = {};
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: [{ field: null, code: 'invalid_type', message: 'The request body must be a JSON object' }] };
+  }
+
+  const value = {};
+  const errors = [];
+  for (const field of Object.keys(input)) {
+    if (!Object.prototype.hasOwnProperty.call(schema, field)) {
+      errors.push({ field, code: 'unknown_field', message: `${field} is not a known field` });
+    }
+  }
+  for (const [field, rule] of Object.entries(schema)) {
+    const result = checkField(field, rule, input[field], { fromText });
+    if (result.error) {
+      errors.push(result.error);
+    } else if (!result.skip) {
+      value[field] = result.value;
+    }
+  }
+
+  return errors.length > 0 ? { errors } : { value };
+}
+
+module.exports = { VALIDATION_CODES, EMAIL_PATTERN, MAX_EMAIL_LENGTH, validate };
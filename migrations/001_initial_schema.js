@@ -0,0 +1,26 @@
+// The notes and unsent_notes tables as they were before migrations existed
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS notes (
+        id VARCHAR(255) PRIMARY KEY,
+        content TEXT NOT NULL,
+        author VARCHAR(255) DEFAULT 'Anonymous',
+        name VARCHAR(255),
+        email VARCHAR(255),
+        email_sent BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS unsent_notes (
+        id VARCHAR(255) PRIMARY KEY,
+        content TEXT NOT NULL,
+        name VARCHAR(255),
+        email VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+};
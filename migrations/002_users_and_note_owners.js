@@ -0,0 +1,20 @@
+// User accounts, and an owner for every note and unsent note
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id VARCHAR(255) PRIMARY KEY,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        name VARCHAR(255),
+        password_hash VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.addColumn('notes', 'owner_id', 'VARCHAR(255)');
+    await db.addColumn('unsent_notes', 'owner_id', 'VARCHAR(255)');
+    await db.query('CREATE INDEX IF NOT EXISTS notes_owner_id_idx ON notes (owner_id)');
+    await db.query('CREATE INDEX IF NOT EXISTS unsent_notes_owner_id_idx ON unsent_notes (owner_id)');
+  }
+
+  // JSON files: notes without an ownerId are claimed by the first user to register, nothing to change
+};
@@ -0,0 +1,21 @@
+// When each note should be emailed back. Older notes were always delivered after one year.
+const { addToDate } = require('../lib/delivery');
+
+module.exports = {
+  async up(db) {
+    await db.addColumn('notes', 'deliver_at', 'TIMESTAMP');
+    if (db.dialect === 'sqlite') {
+      await db.query(`UPDATE notes SET deliver_at = strftime('%Y-%m-%dT%H:%M:%fZ', created_at, '+1 year') WHERE deliver_at IS NULL`);
+    } else {
+      await db.query(`UPDATE notes SET deliver_at = created_at + INTERVAL '1 year' WHERE deliver_at IS NULL`);
+    }
+  },
+
+  file(data) {
+    data.notes.forEach(note => {
+      if (!note.deliverAt) {
+        note.deliverAt = addToDate(new Date(note.createdAt), { years: 1 }).toISOString();
+      }
+    });
+  }
+};
@@ -0,0 +1,25 @@
+// Queue of emails waiting to be sent, with retry bookkeeping
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS email_outbox (
+        id VARCHAR(255) PRIMARY KEY,
+        type VARCHAR(50) NOT NULL,
+        recipient VARCHAR(255) NOT NULL,
+        note_id VARCHAR(255),
+        owner_id VARCHAR(255),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at TIMESTAMP,
+        sent_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS email_outbox_due_idx ON email_outbox (status, next_attempt_at)');
+    await db.query('CREATE INDEX IF NOT EXISTS email_outbox_note_id_idx ON email_outbox (note_id)');
+  }
+
+  // JSON files: email-outbox.json is created empty by the file backend
+};
@@ -0,0 +1,21 @@
+// Files attached to notes. The bytes live in `data` when ATTACHMENT_STORAGE=database, otherwise on disk.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS note_attachments (
+        id VARCHAR(255) PRIMARY KEY,
+        note_id VARCHAR(255) NOT NULL,
+        owner_id VARCHAR(255),
+        filename VARCHAR(255) NOT NULL,
+        content_type VARCHAR(100) NOT NULL,
+        size INTEGER NOT NULL,
+        location VARCHAR(20) NOT NULL,
+        data ${db.dialect === 'sqlite' ? 'BLOB' : 'BYTEA'},
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS note_attachments_note_id_idx ON note_attachments (note_id)');
+  }
+
+  // JSON files: attachments.json is created empty by the file backend
+};
@@ -0,0 +1,15 @@
+// Sealed notes keep their content hidden until their delivery date
+module.exports = {
+  async up(db) {
+    await db.addColumn('notes', 'sealed', 'BOOLEAN DEFAULT FALSE');
+    await db.query('UPDATE notes SET sealed = FALSE WHERE sealed IS NULL');
+  },
+
+  file(data) {
+    data.notes.forEach(note => {
+      if (note.sealed === undefined) {
+        note.sealed = false;
+      }
+    });
+  }
+};
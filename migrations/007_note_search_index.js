@@ -0,0 +1,12 @@
+// Full-text search index for notes. Only PostgreSQL searches in the database;
+// the other backends rank notes in-process (lib/search.js), so there is nothing to do for them.
+module.exports = {
+  async up(db) {
+    if (db.dialect !== 'postgres') return;
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS notes_search_idx
+      ON notes USING GIN (to_tsvector('english', COALESCE(name, '') || ' ' || content))
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS notes_owner_created_idx ON notes (owner_id, created_at)');
+  }
+};
@@ -0,0 +1,21 @@
+// Free-form tags (one row per tag, so notes can be filtered and counted by tag) and an optional mood
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS note_tags (
+        note_id VARCHAR(255) NOT NULL,
+        tag VARCHAR(50) NOT NULL,
+        PRIMARY KEY (note_id, tag)
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS note_tags_tag_idx ON note_tags (tag)');
+    await db.addColumn('notes', 'mood', 'VARCHAR(20)');
+  },
+
+  file(data) {
+    data.notes.forEach(note => {
+      if (!Array.isArray(note.tags)) note.tags = [];
+      if (note.mood === undefined) note.mood = null;
+    });
+  }
+};
@@ -0,0 +1,19 @@
+// Earlier versions of each note. Revisions are numbered from 1 per note; the newest one matches the note.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS note_revisions (
+        note_id VARCHAR(255) NOT NULL,
+        revision INTEGER NOT NULL,
+        owner_id VARCHAR(255),
+        content TEXT NOT NULL,
+        name VARCHAR(255),
+        email VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (note_id, revision)
+      )
+    `);
+  }
+
+  // JSON files: note-revisions.json is created empty by the file backend
+};
@@ -0,0 +1,15 @@
+// Deleted notes and unsent notes go to the trash first: deleted_at is set until they are restored or purged
+module.exports = {
+  async up(db) {
+    await db.addColumn('notes', 'deleted_at', 'TIMESTAMP');
+    await db.addColumn('unsent_notes', 'deleted_at', 'TIMESTAMP');
+  },
+
+  file(data) {
+    [...data.notes, ...data.unsentNotes].forEach(note => {
+      if (note.deletedAt === undefined) {
+        note.deletedAt = null;
+      }
+    });
+  }
+};
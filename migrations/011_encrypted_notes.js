@@ -0,0 +1,15 @@
+// Notes can be encrypted in the browser (public/e2e.js) - the server only stores their ciphertext
+module.exports = {
+  async up(db) {
+    await db.addColumn('notes', 'encrypted', 'BOOLEAN DEFAULT FALSE');
+    await db.query('UPDATE notes SET encrypted = FALSE WHERE encrypted IS NULL');
+  },
+
+  file(data) {
+    data.notes.forEach(note => {
+      if (note.encrypted === undefined) {
+        note.encrypted = false;
+      }
+    });
+  }
+};
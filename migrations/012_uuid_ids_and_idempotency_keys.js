@@ -0,0 +1,68 @@
+// Notes and unsent notes used to get Date.now() as their id, so two saved in the same millisecond collided.
+// New ones get random UUIDs; this gives the old ones a UUID too, along with everything that points at them.
+// Idempotency keys remember which note a create request made, so a repeated request doesn't make another.
+const crypto = require('crypto');
+
+// Ids made by Date.now().toString()
+const TIMESTAMP_ID = /^\d+$/;
+
+// Tables that point at a note by its id
+const NOTE_REFERENCES = ['note_tags', 'note_revisions', 'note_attachments', 'email_outbox'];
+
+async function renameTimestampIds(db, table, references = []) {
+  const result = await db.query(`SELECT id FROM ${table}`);
+  const oldIds = result.rows.map(row => String(row.id)).filter(id => TIMESTAMP_ID.test(id));
+  for (const oldId of oldIds) {
+    const newId = crypto.randomUUID();
+    await db.query(`UPDATE ${table} SET id = $1 WHERE id = $2`, [newId, oldId]);
+    for (const reference of references) {
+      await db.query(`UPDATE ${reference} SET note_id = $1 WHERE note_id = $2`, [newId, oldId]);
+    }
+  }
+}
+
+// JSON files have no primary key, so a timestamp id may even be used twice. Every record gets its own id;
+// attachments, history and emails stay with the first record that had the old id.
+function renameFileIds(records, references = []) {
+  const renamed = new Map();
+  const seen = new Set();
+  records.forEach(record => {
+    const id = String(record.id);
+    if (!TIMESTAMP_ID.test(id) && !seen.has(id)) {
+      seen.add(id);
+      return;
+    }
+    record.id = crypto.randomUUID();
+    if (!renamed.has(id)) renamed.set(id, record.id);
+  });
+  references.forEach(reference => reference.forEach(record => {
+    if (renamed.has(String(record.noteId))) {
+      record.noteId = renamed.get(String(record.noteId));
+    }
+  }));
+}
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        owner_id VARCHAR(255) NOT NULL,
+        scope VARCHAR(50) NOT NULL,
+        idempotency_key VARCHAR(255) NOT NULL,
+        resource_id VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (owner_id, scope, idempotency_key)
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS idempotency_keys_created_at_idx ON idempotency_keys (created_at)');
+
+    await renameTimestampIds(db, 'notes', NOTE_REFERENCES);
+    await renameTimestampIds(db, 'unsent_notes');
+  },
+
+  // JSON files: idempotency-keys.json is created empty by the file backend
+  file(data) {
+    renameFileIds(data.notes, [data.revisions, data.attachments, data.outbox]);
+    renameFileIds(data.unsentNotes);
+  }
+};
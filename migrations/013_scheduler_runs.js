@@ -0,0 +1,24 @@
+// Log of time capsule email checks - scheduled, started from the admin page, or dry runs that only report
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS scheduler_runs (
+        id VARCHAR(255) PRIMARY KEY,
+        source VARCHAR(20) NOT NULL,
+        dry_run BOOLEAN DEFAULT FALSE,
+        started_at TIMESTAMP NOT NULL,
+        finished_at TIMESTAMP,
+        queued INTEGER NOT NULL DEFAULT 0,
+        sent INTEGER NOT NULL DEFAULT 0,
+        retrying INTEGER NOT NULL DEFAULT 0,
+        failed INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        report TEXT
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS scheduler_runs_started_at_idx ON scheduler_runs (started_at)');
+    await db.query('CREATE INDEX IF NOT EXISTS email_outbox_created_at_idx ON email_outbox (created_at)');
+  }
+
+  // JSON files: scheduler-runs.json is created empty by the file backend
+};
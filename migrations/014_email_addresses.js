@@ -0,0 +1,46 @@
+// Double opt-in and unsubscribes: one row per address that notes are emailed to (lower case).
+// An address has to be confirmed from the link in its confirmation email before capsules are sent to it, and
+// addresses that unsubscribed (unsubscribed_at is set) are the suppression list - nothing is sent to them.
+// Addresses already used by notes were emailed before confirmation links existed, so they start out confirmed.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS email_addresses (
+        email VARCHAR(255) PRIMARY KEY,
+        confirmed_at TIMESTAMP,
+        unsubscribed_at TIMESTAMP,
+        confirmation_sent_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    const now = new Date().toISOString();
+    const result = await db.query("SELECT DISTINCT LOWER(email) as email FROM notes WHERE email IS NOT NULL AND email <> ''");
+    for (const row of result.rows) {
+      await db.query(
+        `INSERT INTO email_addresses (email, confirmed_at, created_at, updated_at) VALUES ($1, $2, $2, $2)
+         ON CONFLICT (email) DO NOTHING`,
+        [row.email, now]
+      );
+    }
+  },
+
+  file(data) {
+    const now = new Date().toISOString();
+    const known = new Set(data.emailAddresses.map(address => address.email));
+    data.notes.forEach(note => {
+      const email = note.email && note.email.toLowerCase();
+      if (!email || known.has(email)) return;
+      known.add(email);
+      data.emailAddresses.push({
+        email,
+        confirmedAt: now,
+        unsubscribedAt: null,
+        confirmationSentAt: null,
+        createdAt: now,
+        updatedAt: now
+      });
+    });
+  }
+};
@@ -0,0 +1,25 @@
+// Capsules are delivered at DELIVERY_HOUR in the writer's timezone, which notes now record (an IANA name like
+// "Europe/Berlin"). Older notes have none and use DEFAULT_TIMEZONE.
+// Capsules used to go out at the first daily 9 AM check (server time) after their delivery date. Checks now run every
+// few minutes, so capsules still waiting move to the first delivery time on or after their date - never earlier.
+const { nextDeliveryTime } = require('../lib/delivery');
+
+module.exports = {
+  async up(db) {
+    await db.addColumn('notes', 'timezone', 'VARCHAR(64)');
+
+    const result = await db.query('SELECT id, deliver_at FROM notes WHERE email IS NOT NULL AND email_sent IS NOT TRUE AND deliver_at IS NOT NULL');
+    for (const row of result.rows) {
+      const deliverAt = nextDeliveryTime(new Date(row.deliver_at));
+      await db.query('UPDATE notes SET deliver_at = $1 WHERE id = $2', [deliverAt.toISOString(), row.id]);
+    }
+  },
+
+  file(data) {
+    data.notes.forEach(note => {
+      if (note.email && !note.emailSent && note.deliverAt) {
+        note.deliverAt = nextDeliveryTime(new Date(note.deliverAt)).toISOString();
+      }
+    });
+  }
+};
@@ -0,0 +1,40 @@
+// A note can be delivered more than once (in 1, 5 and 10 years, or every year on the anniversary of writing it).
+// Each delivery is a row with its own sent state, and yearly marks the anniversaries added by notes.repeat_yearly.
+// notes.deliver_at stays the first delivery, when a sealed note opens, and notes.email_sent is now set once every
+// delivery has gone out. Existing notes get their one delivery, sent if the note's email went out.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS note_deliveries (
+        note_id VARCHAR(255) NOT NULL,
+        deliver_at TIMESTAMP NOT NULL,
+        sent_at TIMESTAMP,
+        yearly BOOLEAN DEFAULT FALSE,
+        PRIMARY KEY (note_id, deliver_at)
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS note_deliveries_due_idx ON note_deliveries (sent_at, deliver_at)');
+    await db.addColumn('notes', 'repeat_yearly', 'BOOLEAN DEFAULT FALSE');
+
+    const result = await db.query('SELECT id, deliver_at, email_sent FROM notes WHERE deliver_at IS NOT NULL');
+    for (const row of result.rows) {
+      const deliverAt = new Date(row.deliver_at).toISOString();
+      const sent = row.email_sent === true || row.email_sent === 1;
+      await db.query(
+        'INSERT INTO note_deliveries (note_id, deliver_at, sent_at) VALUES ($1, $2, $3) ON CONFLICT (note_id, deliver_at) DO NOTHING',
+        [row.id, deliverAt, sent ? deliverAt : null]
+      );
+    }
+  },
+
+  file(data) {
+    data.notes.forEach(note => {
+      if (!Array.isArray(note.deliveries)) {
+        note.deliveries = note.deliverAt
+          ? [{ deliverAt: note.deliverAt, sentAt: note.emailSent ? note.deliverAt : null, yearly: false }]
+          : [];
+      }
+      if (note.repeatYearly === undefined) note.repeatYearly = false;
+    });
+  }
+};
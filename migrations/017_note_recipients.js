@@ -0,0 +1,27 @@
+// Capsules can be addressed to other people besides the writer: one row per recipient address.
+// notes.allow_replies adds a link to their capsule emails where they can write back, and the reply is stored as a
+// new (sealed) capsule of the writer's, with in_reply_to pointing at the note and reply_from the address that wrote it.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS note_recipients (
+        note_id VARCHAR(255) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        PRIMARY KEY (note_id, email)
+      )
+    `);
+    await db.addColumn('notes', 'allow_replies', 'BOOLEAN DEFAULT FALSE');
+    await db.addColumn('notes', 'in_reply_to', 'VARCHAR(255)');
+    await db.addColumn('notes', 'reply_from', 'VARCHAR(255)');
+    await db.query('CREATE INDEX IF NOT EXISTS notes_in_reply_to_idx ON notes (in_reply_to)');
+  },
+
+  file(data) {
+    data.notes.forEach(note => {
+      if (!Array.isArray(note.recipients)) note.recipients = [];
+      if (note.allowReplies === undefined) note.allowReplies = false;
+      if (note.inReplyTo === undefined) note.inReplyTo = null;
+      if (note.replyFrom === undefined) note.replyFrom = null;
+    });
+  }
+};
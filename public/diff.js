@@ -0,0 +1,97 @@
+// Word-by-word diff of two versions of a note, for the revision history in the diary.
+// diffWords(before, after) returns [{ type: 'equal' | 'insert' | 'delete', text }] and
+// renderDiff turns that into escaped HTML with <ins> and <del> around the changes.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Diff = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Beyond this many word pairs the changed middle is shown as one removal and one insertion
+  const MAX_COMPARISONS = 2000000;
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Words and the whitespace between them, so joining the tokens gives back the text
+  function tokenize(text) {
+    return String(text || '').match(/\s+|[^\s]+/g) || [];
+  }
+
+  // Add a change, merging it into the previous one when they are the same type
+  function push(ops, type, text) {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      ops.push({ type, text });
+    }
+  }
+
+  // Longest common subsequence of two token lists
+  function diffMiddle(a, b, ops) {
+    if (a.length * b.length > MAX_COMPARISONS) {
+      if (a.length > 0) push(ops, 'delete', a.join(''));
+      if (b.length > 0) push(ops, 'insert', b.join(''));
+      return;
+    }
+
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        push(ops, 'equal', a[i]);
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        push(ops, 'delete', a[i++]);
+      } else {
+        push(ops, 'insert', b[j++]);
+      }
+    }
+    while (i < a.length) push(ops, 'delete', a[i++]);
+    while (j < b.length) push(ops, 'insert', b[j++]);
+  }
+
+  function diffWords(before, after) {
+    const a = tokenize(before);
+    const b = tokenize(after);
+
+    // Most edits touch a small part of the note - only compare what's between the unchanged start and end
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let end = 0;
+    while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+
+    const ops = [];
+    if (start > 0) push(ops, 'equal', a.slice(0, start).join(''));
+    diffMiddle(a.slice(start, a.length - end), b.slice(start, b.length - end), ops);
+    if (end > 0) push(ops, 'equal', a.slice(a.length - end).join(''));
+    return ops;
+  }
+
+  function renderDiff(ops) {
+    return ops.map(({ type, text }) => {
+      if (type === 'insert') return `<ins>${escapeHtml(text)}</ins>`;
+      if (type === 'delete') return `<del>${escapeHtml(text)}</del>`;
+      return escapeHtml(text);
+    }).join('');
+  }
+
+  return { diffWords, renderDiff };
+});
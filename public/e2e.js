@@ -0,0 +1,97 @@
+// End-to-end encryption of note content with a passphrase that never leaves the browser.
+// The key is derived with PBKDF2 (SHA-256) and the content is encrypted with AES-GCM, using Web Crypto.
+// Encrypted content is stored as one string: e2e1.<salt>.<iv>.<ciphertext> (base64url), so the server
+// can tell encrypted notes apart (isEncrypted) without being able to read them.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.E2E = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const VERSION = 'e2e1';
+  const ITERATIONS = 600000;
+  const SALT_BYTES = 16;
+  const IV_BYTES = 12;
+
+  const ENCRYPTED_PATTERN = /^e2e1\.([A-Za-z0-9_-]{22})\.([A-Za-z0-9_-]{16})\.([A-Za-z0-9_-]+)$/;
+
+  function isEncrypted(content) {
+    return typeof content === 'string' && ENCRYPTED_PATTERN.test(content);
+  }
+
+  function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+  }
+
+  function deriveKey(passphrase, salt) {
+    const subtle = globalThis.crypto.subtle;
+    return subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+      .then(material => subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations: ITERATIONS, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      ));
+  }
+
+  // Keys for one passphrase. Deriving a key is slow on purpose, so each salt is only derived once and
+  // new notes reuse the salt of notes already decrypted with this passphrase.
+  function createKeyring(passphrase) {
+    const keys = new Map();
+    let currentSalt = null;
+
+    function keyFor(salt) {
+      if (!keys.has(salt)) {
+        keys.set(salt, deriveKey(passphrase, fromBase64Url(salt)));
+      }
+      return keys.get(salt);
+    }
+
+    async function encrypt(text) {
+      if (!currentSalt) {
+        currentSalt = toBase64Url(globalThis.crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+      }
+      const iv = globalThis.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+      const ciphertext = await globalThis.crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        await keyFor(currentSalt),
+        new TextEncoder().encode(text)
+      );
+      return `${VERSION}.${currentSalt}.${toBase64Url(iv)}.${toBase64Url(new Uint8Array(ciphertext))}`;
+    }
+
+    // Throws if the content wasn't encrypted with this passphrase (or was tampered with)
+    async function decrypt(content) {
+      const match = String(content).match(ENCRYPTED_PATTERN);
+      if (!match) {
+        throw new Error('Not encrypted content');
+      }
+      const [, salt, iv, ciphertext] = match;
+      let plaintext;
+      try {
+        plaintext = await globalThis.crypto.subtle.decrypt(
+          { name: 'AES-GCM', iv: fromBase64Url(iv) },
+          await keyFor(salt),
+          fromBase64Url(ciphertext)
+        );
+      } catch (error) {
+        throw new Error('Wrong passphrase');
+      }
+      currentSalt = currentSalt || salt;
+      return new TextDecoder().decode(plaintext);
+    }
+
+    return { encrypt, decrypt };
+  }
+
+  return { isEncrypted, createKeyring };
+});
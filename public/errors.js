@@ -0,0 +1,82 @@
+// Friendly messages for API errors, and a toast to show them in.
+// The API sends errors as { error, code, details? } (see "Errors" in the README): `code` picks the message
+// shown here, and `error` is used for codes without one of their own.
+
+const ERROR_MESSAGES = {
+  invalid_json: 'Something went wrong sending that - please try again',
+  not_logged_in: 'Your session has ended - please log in again',
+  invalid_credentials: 'That email and password don\'t match an account',
+  email_taken: 'There\'s already an account with that email - try logging in instead',
+  forbidden: 'Only admins can do that',
+  not_found: 'That couldn\'t be found - it may have been deleted',
+  invalid_link: 'This link doesn\'t work - check it was copied completely',
+  idempotency_key_reused: 'This note was saved already and has been deleted since',
+  email_not_configured: 'Emails can\'t be sent - email isn\'t set up on this server',
+  server_error: 'Something went wrong on our side - please try again in a moment'
+};
+
+// Messages for validation problems, by "field.code" or just the field
+const FIELD_MESSAGES = {
+  'content.required': 'Please write something!',
+  'content.too_long': 'This note is too long - try splitting it into two',
+  'email.required': 'Please enter your email address',
+  email: 'Please enter a valid email address',
+  'password.required': 'Please enter your password',
+  'password.too_short': 'Your password needs at least 8 characters',
+  'name.too_long': 'That name is too long',
+  'name.required': 'Please add your name - it tells the people you send the note to who it is from',
+  recipients: 'Please enter the other people\'s email addresses separated by commas',
+  'deliverAt.out_of_range': 'Please pick a delivery date in the future',
+  deliverAt: 'Please pick a valid delivery date'
+};
+
+// The message to show for an error response body (or fallback when there isn't one)
+function errorMessage(data, fallback) {
+  if (!data || typeof data !== 'object') return fallback;
+  if (data.code === 'validation_failed' && Array.isArray(data.details)) {
+    const messages = data.details.map(detail =>
+      FIELD_MESSAGES[`${detail.field}.${detail.code}`] || FIELD_MESSAGES[detail.field] || detail.message
+    );
+    return [...new Set(messages)].join('\n');
+  }
+  return ERROR_MESSAGES[data.code] || data.error || fallback;
+}
+
+// Read the message to show from a failed fetch() response
+async function readError(response, fallback) {
+  const data = await response.json().catch(() => null);
+  return errorMessage(data, fallback);
+}
+
+let toastTimer = null;
+
+// Show a message at the bottom of the page for a few seconds (click it to close it sooner)
+function showToast(message, type = 'error') {
+  let toast = document.getElementById('toast');
+  if (!toast) {
+    toast = document.createElement('div');
+    toast.id = 'toast';
+    toast.setAttribute('role', 'alert');
+    toast.addEventListener('click', hideToast);
+    document.body.appendChild(toast);
+  }
+  toast.textContent = message;
+  toast.className = `toast toast-${type} visible`;
+
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(hideToast, type === 'error' ? 8000 : 4000);
+}
+
+function hideToast() {
+  const toast = document.getElementById('toast');
+  if (toast) toast.classList.remove('visible');
+}
+
+function showError(message) {
+  console.error('Error:', message);
+  showToast(message, 'error');
+}
+
+function showNotice(message) {
+  showToast(message, 'notice');
+}
@@ -0,0 +1,153 @@
+// Small Markdown renderer shared by the browser (note cards, editor preview) and the server (time capsule emails).
+// Supports headings, paragraphs, lists, checklists, blockquotes, code, horizontal rules,
+// **bold**, *italic*, ~~strikethrough~~ and [links](https://example.com).
+//
+// Safe by construction: all text is HTML-escaped before any Markdown is applied, raw HTML is never
+// passed through, and links are only created for http(s), mailto and relative URLs.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Markdown = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Only these kinds of links are rendered - anything else (javascript:, data:...) stays plain text
+  function isSafeUrl(url) {
+    return /^(https?:\/\/|mailto:|\/|#)/i.test(url);
+  }
+
+  // Inline formatting for one piece of text
+  function renderInline(text) {
+    const codeSpans = [];
+    let html = escapeHtml(text)
+      // Keep code spans aside so nothing inside them is formatted
+      .replace(/`([^`]+)`/g, (match, code) => {
+        codeSpans.push(`<code>${code}</code>`);
+        return `\u0000${codeSpans.length - 1}\u0000`;
+      });
+
+    html = html
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+        if (!isSafeUrl(url)) return match;
+        return `<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+      })
+      .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+      .replace(/__(?=\S)([\s\S]*?\S)__/g, '<strong>$1</strong>')
+      .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+      .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[index]);
+  }
+
+  const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+  const CHECKBOX = /^\[([ xX])\]\s+(.*)$/;
+  const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+  const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+  const FENCE = /^\s*```/;
+  const QUOTE = /^\s*>\s?(.*)$/;
+
+  function renderList(items, options) {
+    const ordered = /^\d/.test(items[0].marker);
+    const tag = ordered ? 'ol' : 'ul';
+    const isChecklist = items.every(item => CHECKBOX.test(item.text));
+    const body = items.map(item => {
+      const checkbox = item.text.match(CHECKBOX);
+      if (checkbox) {
+        const checked = checkbox[1] !== ' ';
+        if (options.plainCheckboxes) {
+          return `<li class="md-task">${checked ? '&#9745;' : '&#9744;'} ${renderInline(checkbox[2])}</li>`;
+        }
+        return `<li class="md-task"><input type="checkbox" disabled${checked ? ' checked' : ''}> ${renderInline(checkbox[2])}</li>`;
+      }
+      return `<li>${renderInline(item.text)}</li>`;
+    }).join('');
+    return `<${tag}${isChecklist ? ' class="md-checklist"' : ''}>${body}</${tag}>`;
+  }
+
+  // Render Markdown text to HTML
+  // options.plainCheckboxes: draw checklists with ☐/☑ characters instead of <input>s (for emails, which strip form fields)
+  function renderMarkdown(text, options = {}) {
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (line.trim() === '') {
+        i++;
+        continue;
+      }
+
+      if (FENCE.test(line)) {
+        const code = [];
+        i++;
+        while (i < lines.length && !FENCE.test(lines[i])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++; // closing fence
+        blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+        continue;
+      }
+
+      const heading = line.match(HEADING);
+      if (heading) {
+        const level = heading[1].length;
+        blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+        i++;
+        continue;
+      }
+
+      if (RULE.test(line)) {
+        blocks.push('<hr>');
+        i++;
+        continue;
+      }
+
+      if (QUOTE.test(line)) {
+        const quoted = [];
+        while (i < lines.length && QUOTE.test(lines[i])) {
+          quoted.push(lines[i].match(QUOTE)[1]);
+          i++;
+        }
+        blocks.push(`<blockquote>${renderMarkdown(quoted.join('\n'), options)}</blockquote>`);
+        continue;
+      }
+
+      if (LIST_ITEM.test(line)) {
+        const items = [];
+        while (i < lines.length && LIST_ITEM.test(lines[i])) {
+          const [, marker, itemText] = lines[i].match(LIST_ITEM);
+          items.push({ marker, text: itemText });
+          i++;
+        }
+        blocks.push(renderList(items, options));
+        continue;
+      }
+
+      // Paragraph: everything up to the next blank line or block, keeping line breaks as written
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() !== '' &&
+             !(paragraph.length > 0 && (FENCE.test(lines[i]) || HEADING.test(lines[i]) || QUOTE.test(lines[i]) || LIST_ITEM.test(lines[i])))) {
+        paragraph.push(lines[i]);
+        i++;
+      }
+      blocks.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+    }
+
+    return blocks.join('\n');
+  }
+
+  return { renderMarkdown, escapeHtml };
+});
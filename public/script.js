@@ -1,13 +1,57 @@
 // Global variables
 let notes = [];
 let currentEditingId = null;
+let currentPage = 1;
+let totalPages = 1;
+let searchTimer = null;
+// Tag browser: the tag and mood the notes are filtered by (null for none), and { mood: emoji } for every mood
+let activeTag = null;
+let activeMood = null;
+let moodEmojis = {};
+// Revision history modal: the note being looked at, and the revisions fetched so far (revision number -> revision)
+let historyNoteId = null;
+let historyRevisions = {};
+// Encrypted notes: the keys for the passphrase entered on this visit (only ever kept in memory),
+// the decrypted content of notes by id (null if this passphrase can't open it), and the pending passphrase prompt
+let keyring = null;
+let decryptedContent = {};
+let passphraseResolve = null;
+// Idempotency-Key for the note being written: saving it twice (a double click) only creates it once
+let noteIdempotencyKey = null;
+
+const NOTES_PAGE_SIZE = 30;
+
+const escapeHtml = Markdown.escapeHtml;
 
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', () => {
   loadNotes();
+  loadTags();
+  showAdminButton();
+  // Keep the countdowns on sealed notes ticking
+  setInterval(updateCountdowns, 60 * 1000);
 });
 
-// Load all notes from server
+// Query string for the current search box and date filters, e.g. "q=beach&from=...&page=1&limit=30"
+function buildNotesQuery(page) {
+  const params = new URLSearchParams({ page, limit: NOTES_PAGE_SIZE });
+  const q = document.getElementById('searchInput').value.trim();
+  const from = document.getElementById('searchFrom').value;
+  const to = document.getElementById('searchTo').value;
+  if (q) params.set('q', q);
+  if (activeTag) params.set('tag', activeTag);
+  if (activeMood) params.set('mood', activeMood);
+  // Whole days in the writer's timezone
+  if (from) params.set('from', localDayStart(from).toISOString());
+  if (to) {
+    const dayAfter = localDayStart(to);
+    dayAfter.setDate(dayAfter.getDate() + 1);
+    params.set('to', dayAfter.toISOString());
+  }
+  return params.toString();
+}
+
+// Load the first page of notes (matching the current search) from server
 async function loadNotes() {
   // Check if page is being accessed via file:// protocol
   if (window.location.protocol === 'file:') {
@@ -17,22 +61,26 @@ async function loadNotes() {
 
   try {
     console.log('Attempting to load notes from /api/notes...');
-    const response = await fetch('/api/notes');
+    const response = await fetch(`/api/notes?${buildNotesQuery(1)}`);
     console.log('Response received. Status:', response.status, response.statusText);
     console.log('Response headers:', [...response.headers.entries()]);
     
+    if (redirectIfLoggedOut(response)) return;
+
     if (response.ok) {
       const data = await response.json();
       console.log('Successfully loaded notes:', data);
-      notes = data;
+      notes = data.notes;
+      currentPage = data.page;
+      totalPages = data.pages;
       notes.forEach((note, index) => {
         console.log(`Note ${index}:`, { id: note.id, name: note.name, hasName: !!note.name });
       });
       displayNotes(notes);
+      decryptNotes();
     } else {
-      const errorText = await response.text();
-      console.error('Failed to load notes. Status:', response.status, 'Error:', errorText);
-      showError(`Failed to load notes (Status: ${response.status}). Make sure the server is running on http://localhost:3000`);
+      console.error('Failed to load notes. Status:', response.status);
+      showError(await readError(response, `Failed to load notes (Status: ${response.status}). Make sure the server is running on http://localhost:3000`));
     }
   } catch (error) {
     console.error('Error loading notes:', error);
@@ -41,40 +89,73 @@ async function loadNotes() {
   }
 }
 
+// Load the next page of notes and add it below the ones already shown
+async function loadMoreNotes() {
+  try {
+    const response = await fetch(`/api/notes?${buildNotesQuery(currentPage + 1)}`);
+    if (redirectIfLoggedOut(response)) return;
+
+    if (response.ok) {
+      const data = await response.json();
+      notes = notes.concat(data.notes);
+      currentPage = data.page;
+      totalPages = data.pages;
+      displayNotes(notes);
+      decryptNotes();
+    } else {
+      showError(await readError(response, 'Failed to load more notes'));
+    }
+  } catch (error) {
+    console.error('Error loading more notes:', error);
+    showError('Failed to connect to server');
+  }
+}
+
 // Display notes in the container
+// Notes arrive in order from the server: newest first, or best match first when searching
 function displayNotes(notesToDisplay) {
   const container = document.getElementById('notesContainer');
+  document.getElementById('loadMoreContainer').style.display = currentPage < totalPages ? 'block' : 'none';
   
   if (notesToDisplay.length === 0) {
-    container.innerHTML = '<div class="empty-state">No notes yet. Create your first time capsule note!</div>';
+    container.innerHTML = isFiltering()
+      ? '<div class="empty-state">No notes match your search.</div>'
+      : '<div class="empty-state">No notes yet. Create your first time capsule note!</div>';
     return;
   }
 
-  // Sort by date (newest first)
-  const sortedNotes = [...notesToDisplay].sort((a, b) => 
-    new Date(b.createdAt) - new Date(a.createdAt)
-  );
-
-  container.innerHTML = sortedNotes.map(note => {
+  container.innerHTML = notesToDisplay.map(note => {
     // Check if name exists and is not empty
     let nameDisplay = '';
     if (note.name) {
       const nameStr = String(note.name).trim();
       if (nameStr.length > 0) {
         nameDisplay = `<div class="note-name">${escapeHtml(nameStr)}</div>`;
-        console.log('Displaying name for note', note.id, ':', nameStr); // Debug
       }
     }
-    console.log('Note', note.id, 'name field:', note.name, 'will display:', nameDisplay ? 'yes' : 'no'); // Debug
+    if (note.locked) {
+      return renderSealedNote(note, nameDisplay);
+    }
+    // Show when the capsule emails go out (and which already have)
+    const deliveryDisplay = (note.email || (note.recipients || []).length > 0) && note.deliverAt ? renderDelivery(note) : '';
     return `
     <div class="note-card">
       ${nameDisplay}
-      <div class="note-content">${escapeHtml(note.content)}</div>
+      ${note.encrypted
+        ? renderEncryptedContent(note)
+        : note.snippet !== undefined
+          ? `<div class="note-content note-snippet">${note.snippet}</div>` // already escaped and highlighted by the server
+          : `<div class="note-content markdown">${Markdown.renderMarkdown(note.content)}</div>`}
+      ${renderAttachmentThumbnails(note.attachments || [])}
+      ${renderNoteLabels(note)}
+      ${renderAddressees(note)}
       <div class="note-meta">
         <div class="note-date">${formatDate(note.createdAt)}</div>
+        ${deliveryDisplay}
         <div class="note-actions">
-          <button class="pixel-button pixel-button-secondary" onclick="editNote('${note.id}')">edit</button>
-          <button class="pixel-button pixel-button-secondary" onclick="deleteNote('${note.id}')">delete</button>
+          <button class="pixel-button pixel-button-secondary" data-id="${escapeHtml(note.id)}" onclick="editNote(this.dataset.id)">edit</button>
+          <button class="pixel-button pixel-button-secondary" data-id="${escapeHtml(note.id)}" onclick="showHistory(this.dataset.id)">history</button>
+          <button class="pixel-button pixel-button-secondary" data-id="${escapeHtml(note.id)}" onclick="deleteNote(this.dataset.id)">delete</button>
         </div>
       </div>
     </div>
@@ -82,31 +163,498 @@ function displayNotes(notesToDisplay) {
   }).join('');
 }
 
-// Filter notes based on search
-function filterNotes() {
-  const searchTerm = document.getElementById('searchInput').value.toLowerCase();
-  if (searchTerm === '') {
-    displayNotes(notes);
-  } else {
-    const filtered = notes.filter(note => 
-      note.content.toLowerCase().includes(searchTerm) ||
-      (note.name && note.name.toLowerCase().includes(searchTerm)) ||
-      (note.author && note.author.toLowerCase().includes(searchTerm))
-    );
-    displayNotes(filtered);
+// An encrypted note's content once it has been decrypted, or a button to unlock it
+function renderEncryptedContent(note) {
+  const content = decryptedContent[note.id];
+  if (typeof content === 'string') {
+    return `<div class="note-content markdown">${Markdown.renderMarkdown(content)}</div>`;
+  }
+  if (content === null) {
+    return '<div class="note-content encrypted-text">🔑 encrypted with a different passphrase</div>';
+  }
+  return `
+    <div class="note-content encrypted-text">
+      🔑 encrypted
+      <button class="pixel-button pixel-button-secondary" onclick="unlockNotes()">unlock</button>
+    </div>
+  `;
+}
+
+// Decrypt the loaded notes that haven't been yet, then show them
+async function decryptNotes() {
+  if (!keyring) return;
+  const pending = notes.filter(note => note.encrypted && !note.locked && !(note.id in decryptedContent));
+  if (pending.length === 0) return;
+
+  for (const note of pending) {
+    try {
+      decryptedContent[note.id] = await keyring.decrypt(note.content);
+    } catch (error) {
+      decryptedContent[note.id] = null;
+    }
+  }
+  displayNotes(notes);
+}
+
+// Ask for the passphrase and show the encrypted notes
+async function unlockNotes() {
+  if (await requestPassphrase()) {
+    decryptedContent = {};
+    await decryptNotes();
   }
 }
 
+// Open the passphrase prompt. Resolves to true once a passphrase has been entered (and checked
+// against a loaded encrypted note, if there is one), or false if the prompt was closed.
+function requestPassphrase() {
+  const hasEncryptedNotes = notes.some(note => note.encrypted && !note.locked);
+  document.getElementById('passphraseInput').value = '';
+  document.getElementById('passphraseConfirm').value = '';
+  // A new passphrase is typed twice - a typo would lock the notes away for good
+  document.getElementById('passphraseConfirmGroup').style.display = hasEncryptedNotes ? 'none' : 'block';
+  document.getElementById('passphraseError').textContent = '';
+  document.getElementById('passphraseSubmit').disabled = false;
+  document.getElementById('passphraseModal').style.display = 'block';
+  document.getElementById('passphraseInput').focus();
+
+  if (passphraseResolve) passphraseResolve(false);
+  return new Promise(resolve => { passphraseResolve = resolve; });
+}
+
+async function submitPassphrase() {
+  const passphrase = document.getElementById('passphraseInput').value;
+  const errorElement = document.getElementById('passphraseError');
+  if (!passphrase) {
+    errorElement.textContent = 'Please enter your passphrase';
+    return;
+  }
+
+  const candidate = E2E.createKeyring(passphrase);
+  const sample = notes.find(note => note.encrypted && !note.locked);
+  if (sample) {
+    const submitButton = document.getElementById('passphraseSubmit');
+    submitButton.disabled = true;
+    errorElement.textContent = 'Unlocking...';
+    try {
+      await candidate.decrypt(sample.content);
+    } catch (error) {
+      errorElement.textContent = 'That passphrase doesn\'t open your notes';
+      submitButton.disabled = false;
+      return;
+    }
+  } else if (document.getElementById('passphraseConfirm').value !== passphrase) {
+    errorElement.textContent = 'The passphrases don\'t match';
+    return;
+  }
+
+  keyring = candidate;
+  document.getElementById('passphraseModal').style.display = 'none';
+  if (passphraseResolve) passphraseResolve(true);
+  passphraseResolve = null;
+}
+
+function closePassphrase() {
+  document.getElementById('passphraseModal').style.display = 'none';
+  if (passphraseResolve) passphraseResolve(false);
+  passphraseResolve = null;
+}
+
+// A sealed note before its delivery date: a locked envelope with a countdown instead of the note
+function renderSealedNote(note, nameDisplay) {
+  return `
+    <div class="note-card note-card-sealed">
+      ${nameDisplay}
+      <div class="sealed-envelope" aria-label="sealed note">
+        <div class="sealed-envelope-flap"></div>
+        <div class="sealed-envelope-lock">🔒</div>
+      </div>
+      <div class="sealed-text">${note.inReplyTo ? 'a reply to one of your notes, ' : ''}sealed until ${formatLongDate(note.deliverAt)}</div>
+      <div class="sealed-countdown" data-unlocks-at="${note.deliverAt}">opens in ${formatCountdown(note.deliverAt)}</div>
+      ${renderEmailStatus(note)}
+      <div class="note-meta">
+        <div class="note-date">${formatDate(note.createdAt)}</div>
+        <div class="note-actions">
+          <button class="pixel-button pixel-button-secondary" data-id="${escapeHtml(note.id)}" onclick="deleteNote(this.dataset.id)">delete</button>
+        </div>
+      </div>
+    </div>
+    `;
+}
+
+// "delivered May 1, 2026 - arrives May 1, 2027, then May 1, 2031 - and every year after"
+function renderDelivery(note) {
+  const deliveries = noteDeliveries(note);
+  const delivered = deliveries.filter(item => item.sentAt);
+  const waiting = deliveries.filter(item => !item.sentAt);
+  const parts = [];
+  if (delivered.length > 0) {
+    parts.push(`delivered ${delivered.map(item => formatLongDate(item.deliverAt)).join(', ')}`);
+  }
+  if (waiting.length > 0) {
+    parts.push(`arrives ${waiting.map(item => formatLongDate(item.deliverAt)).join(', then ')}`);
+  }
+  if (note.repeatYearly) {
+    parts.push('and every year after');
+  }
+  return `<div class="note-delivery">${parts.join(' - ')}</div>${waiting.length > 0 ? renderEmailStatus(note) : ''}`;
+}
+
+// "May 1, 2027 and May 1, 2031", plus "and every year after" for notes that repeat
+function deliveryDatesText(note) {
+  const dates = noteDeliveries(note).filter(item => !item.sentAt).map(item => formatLongDate(item.deliverAt));
+  const text = dates.length > 1 ? `${dates.slice(0, -1).join(', ')} and ${dates[dates.length - 1]}` : dates.join('');
+  return note.repeatYearly ? `${text}, and every year after` : text;
+}
+
+// A note's deliveries, soonest first (notes saved before there could be several have only deliverAt)
+function noteDeliveries(note) {
+  if (Array.isArray(note.deliveries) && note.deliveries.length > 0) {
+    return note.deliveries;
+  }
+  return [{ deliverAt: note.deliverAt, sentAt: note.emailSent ? note.deliverAt : null }];
+}
+
+// Capsules only go to addresses that have been confirmed from the link in their confirmation email
+function renderEmailStatus(note) {
+  if (note.emailStatus === 'unconfirmed') {
+    return `<div class="note-email-status">waiting for the email address to be confirmed - <a href="#" data-id="${escapeHtml(note.id)}" onclick="resendConfirmation(this.dataset.id); return false;">resend the link</a></div>`;
+  }
+  if (note.emailStatus === 'unsubscribed') {
+    return '<div class="note-email-status">won\'t be emailed - the address unsubscribed</div>';
+  }
+  return '';
+}
+
+// Who else a note goes to ("to ann@example.com (waiting for them to confirm)"), or who wrote a reply
+function renderAddressees(note) {
+  if (note.inReplyTo) {
+    return `<div class="note-addressees">a reply from ${escapeHtml(note.replyFrom)} to one of your notes</div>`;
+  }
+  const recipients = note.recipients || [];
+  if (recipients.length === 0) return '';
+
+  const status = note.recipientStatus || {};
+  const listed = recipients.map(email => {
+    if (status[email] === 'unconfirmed') return `${escapeHtml(email)} (waiting for them to confirm)`;
+    if (status[email] === 'unsubscribed') return `${escapeHtml(email)} (unsubscribed)`;
+    return escapeHtml(email);
+  });
+  const resend = recipients.some(email => status[email] === 'unconfirmed') && note.emailStatus !== 'unconfirmed'
+    ? ` - <a href="#" data-id="${escapeHtml(note.id)}" onclick="resendConfirmation(this.dataset.id); return false;">resend the links</a>`
+    : '';
+  return `<div class="note-addressees">to ${listed.join(', ')}${note.allowReplies ? ', who can write back' : ''}${resend}</div>`;
+}
+
+// Send the links that confirm a note's email addresses again
+async function resendConfirmation(id) {
+  try {
+    const response = await fetch(`/api/notes/${id}/confirmation-email`, { method: 'POST' });
+    if (!response.ok) {
+      showError(await readError(response, 'Failed to send the confirmation link'));
+      return;
+    }
+    showNotice('Confirmation link sent - check your inbox');
+  } catch (error) {
+    console.error('Error resending confirmation email:', error);
+    showError('Failed to connect to server');
+  }
+}
+
+// Time left until a sealed note opens, e.g. "3 days 4 hours" or "12 minutes"
+function formatCountdown(unlocksAt) {
+  const minutesLeft = Math.max(0, Math.ceil((new Date(unlocksAt) - new Date()) / (1000 * 60)));
+  const days = Math.floor(minutesLeft / (60 * 24));
+  const hours = Math.floor((minutesLeft % (60 * 24)) / 60);
+  const minutes = minutesLeft % 60;
+  const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+  if (minutesLeft === 0) return 'a moment';
+  if (days > 0) return hours > 0 ? `${plural(days, 'day')} ${plural(hours, 'hour')}` : plural(days, 'day');
+  if (hours > 0) return minutes > 0 ? `${plural(hours, 'hour')} ${plural(minutes, 'minute')}` : plural(hours, 'hour');
+  return plural(minutes, 'minute');
+}
+
+// Refresh the countdowns, and reload the notes once one of them has opened
+function updateCountdowns() {
+  let opened = false;
+  document.querySelectorAll('.sealed-countdown').forEach(countdown => {
+    const unlocksAt = countdown.dataset.unlocksAt;
+    if (new Date(unlocksAt) <= new Date()) {
+      opened = true;
+    }
+    countdown.textContent = `opens in ${formatCountdown(unlocksAt)}`;
+  });
+  if (opened) {
+    loadNotes();
+  }
+}
+
+// Thumbnails for attached images and links for other files, shown on a note card
+function renderAttachmentThumbnails(attachments) {
+  if (attachments.length === 0) return '';
+  const items = attachments.map(attachment => {
+    const title = escapeHtml(attachment.filename);
+    if (attachment.contentType.startsWith('image/')) {
+      return `<a href="${attachment.url}" target="_blank" title="${title}"><img class="note-thumb" src="${attachment.url}" alt="${title}" loading="lazy"></a>`;
+    }
+    return `<a class="note-file" href="${attachment.url}" target="_blank" title="${title}">📎 ${title}</a>`;
+  }).join('');
+  return `<div class="note-attachments">${items}</div>`;
+}
+
+// A note's mood and its tags (click a tag to see every note with it)
+function renderNoteLabels(note) {
+  const tags = note.tags || [];
+  if (!note.mood && tags.length === 0) return '';
+  const mood = note.mood
+    ? `<span class="note-mood" title="${escapeHtml(note.mood)}">${moodEmojis[note.mood] || escapeHtml(note.mood)}</span>`
+    : '';
+  const chips = tags.map(tag =>
+    `<button type="button" class="tag-chip" onclick="toggleTagFilter('${escapeHtml(tag)}')">#${escapeHtml(tag)}</button>`
+  ).join('');
+  return `<div class="note-labels">${mood}${chips}</div>`;
+}
+
+// Load the tag counts and moods, then draw the tag cloud and the mood picker
+async function loadTags() {
+  try {
+    const response = await fetch('/api/tags');
+    if (redirectIfLoggedOut(response) || !response.ok) return;
+
+    const data = await response.json();
+    moodEmojis = {};
+    data.moods.forEach(({ mood, emoji }) => { moodEmojis[mood] = emoji; });
+    // A filter for a tag that no longer exists would only show an empty list
+    if (activeTag && !data.tags.some(({ tag }) => tag === activeTag)) {
+      activeTag = null;
+      loadNotes();
+    }
+    renderTagCloud(data);
+    renderMoodOptions(data.moods);
+  } catch (error) {
+    console.error('Error loading tags:', error);
+  }
+}
+
+// Tags sized by how many notes use them, plus the moods that have been used
+function renderTagCloud({ tags, moods }) {
+  const cloud = document.getElementById('tagCloud');
+  const usedMoods = moods.filter(({ count }) => count > 0);
+  if (tags.length === 0 && usedMoods.length === 0) {
+    cloud.innerHTML = '';
+    return;
+  }
+
+  const maxCount = Math.max(...tags.map(({ count }) => count), 1);
+  const moodButtons = usedMoods.map(({ mood, emoji, count }) => `
+    <button type="button" class="tag-cloud-mood${mood === activeMood ? ' active' : ''}" title="${escapeHtml(mood)} (${count})" onclick="toggleMoodFilter('${escapeHtml(mood)}')">${emoji}</button>
+  `).join('');
+  const tagButtons = tags.map(({ tag, count }) => {
+    const size = 1 + Math.round((count / maxCount) * 3); // 1 (rarely used) to 4 (most used)
+    return `<button type="button" class="tag-cloud-tag tag-size-${size}${tag === activeTag ? ' active' : ''}" title="${count} note${count === 1 ? '' : 's'}" onclick="toggleTagFilter('${escapeHtml(tag)}')">#${escapeHtml(tag)}</button>`;
+  }).join('');
+  cloud.innerHTML = moodButtons + tagButtons;
+}
+
+// Fill the mood picker of the note form, keeping the current choice
+function renderMoodOptions(moods) {
+  const select = document.getElementById('noteMood');
+  const selected = select.value;
+  select.innerHTML = '<option value="">no mood</option>' + moods.map(({ mood, emoji }) =>
+    `<option value="${escapeHtml(mood)}">${emoji} ${escapeHtml(mood)}</option>`
+  ).join('');
+  select.value = selected;
+}
+
+// Show only notes with this tag, or every note again if it was already picked
+function toggleTagFilter(tag) {
+  activeTag = activeTag === tag ? null : tag;
+  loadNotes();
+  loadTags();
+}
+
+function toggleMoodFilter(mood) {
+  activeMood = activeMood === mood ? null : mood;
+  loadNotes();
+  loadTags();
+}
+
+// Is the search box, a date filter or the tag browser in use?
+function isFiltering() {
+  return !!activeTag || !!activeMood ||
+    ['searchInput', 'searchFrom', 'searchTo'].some(id => document.getElementById(id).value.trim() !== '');
+}
+
+// Search notes on the server, waiting until the user stops typing
+function filterNotes() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(loadNotes, 300);
+}
+
 // Show new note form
 function showNewNoteForm() {
   currentEditingId = null;
+  noteIdempotencyKey = newIdempotencyKey();
   document.getElementById('noteContent').value = '';
   document.getElementById('noteName').value = '';
   document.getElementById('noteEmail').value = '';
+  document.getElementById('noteRecipients').value = '';
+  document.getElementById('noteAllowReplies').checked = false;
+  document.getElementById('noteTags').value = activeTag || '';
+  document.getElementById('noteMood').value = '';
+  resetDeliveryFields(null);
+  resetAttachmentFields([]);
+  // Only new notes can be sealed
+  document.getElementById('noteSeal').checked = false;
+  document.getElementById('noteSealGroup').style.display = 'block';
+  // Once notes have been unlocked on this visit, new ones are encrypted too unless unticked
+  document.getElementById('noteEncrypt').checked = !!keyring;
+  showNoteEditor();
   document.getElementById('noteModal').style.display = 'block';
   document.getElementById('noteName').focus();
 }
 
+// Reset the "send it back to me in" picker
+// note: the note being edited, or null for a new note
+function resetDeliveryFields(note) {
+  const dateInput = document.getElementById('noteDeliverAt');
+  const current = document.getElementById('noteDeliveryCurrent');
+  const waiting = note && note.deliverAt ? noteDeliveries(note).filter(item => !item.sentAt) : [];
+
+  // New notes default to a year from now; edits keep the waiting dates unless new ones are ticked
+  document.querySelectorAll('input[name="noteDeliverIn"]').forEach(checkbox => {
+    checkbox.checked = !note && checkbox.value === '1-year';
+  });
+  document.getElementById('noteDeliverCustom').checked = false;
+  document.getElementById('noteRepeatYearly').checked = !!(note && note.repeatYearly);
+
+  current.hidden = waiting.length === 0;
+  current.textContent = waiting.length > 0
+    ? `Arrives ${waiting.map(item => formatLongDate(item.deliverAt)).join(', ')}. Leave these unticked to keep that.`
+    : '';
+
+  // Custom dates must be in the future
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  dateInput.min = toDateInputValue(tomorrow);
+  dateInput.value = '';
+  dateInput.style.display = 'none';
+}
+
+// Show the date picker when "on a date..." is ticked
+function toggleCustomDeliveryDate() {
+  const isCustom = document.getElementById('noteDeliverCustom').checked;
+  document.getElementById('noteDeliverAt').style.display = isCustom ? 'block' : 'none';
+}
+
+// Delivery fields for the API: { deliverIn, deliverOn, repeatYearly } with the ticked dates, { repeatYearly } alone
+// to keep the current dates of a note being edited, or null if a date is still missing
+function getDeliveryFields() {
+  const fields = { repeatYearly: document.getElementById('noteRepeatYearly').checked };
+  const presets = [...document.querySelectorAll('input[name="noteDeliverIn"]:checked')].map(checkbox => checkbox.value);
+  if (presets.length > 0) {
+    fields.deliverIn = presets;
+  }
+  if (document.getElementById('noteDeliverCustom').checked) {
+    const value = document.getElementById('noteDeliverAt').value;
+    if (!value) return null;
+    // A calendar date - the server delivers it in the morning of that day in the writer's timezone
+    fields.deliverOn = value;
+  }
+  if (!currentEditingId && !fields.deliverIn && !fields.deliverOn) {
+    return null;
+  }
+  return fields;
+}
+
+// Switch the note form between writing and a preview of the formatted note
+function toggleNotePreview() {
+  const preview = document.getElementById('notePreview');
+  if (preview.style.display === 'none') {
+    const content = document.getElementById('noteContent').value;
+    preview.innerHTML = content.trim()
+      ? Markdown.renderMarkdown(content)
+      : '<p class="note-preview-empty">Nothing to preview yet.</p>';
+    preview.style.display = 'block';
+    document.getElementById('noteContent').style.display = 'none';
+    document.getElementById('notePreviewToggle').textContent = 'edit';
+  } else {
+    showNoteEditor();
+    document.getElementById('noteContent').focus();
+  }
+}
+
+// Show the textarea (and hide the preview) in the note form
+function showNoteEditor() {
+  document.getElementById('notePreview').style.display = 'none';
+  document.getElementById('noteContent').style.display = 'block';
+  document.getElementById('notePreviewToggle').textContent = 'preview';
+}
+
+// Show a note's current attachments (with remove buttons) and clear the file picker
+function resetAttachmentFields(attachments) {
+  const list = document.getElementById('noteAttachmentList');
+  list.innerHTML = attachments.map(attachment => `
+    <div class="note-attachment-item">
+      <a href="${attachment.url}" target="_blank">${escapeHtml(attachment.filename)}</a>
+      <button type="button" class="pixel-button pixel-button-secondary" data-id="${escapeHtml(attachment.id)}" onclick="removeAttachment(this.dataset.id)">remove</button>
+    </div>
+  `).join('');
+  document.getElementById('noteAttachments').value = '';
+}
+
+// Remove an attachment from the note being edited
+async function removeAttachment(attachmentId) {
+  if (!currentEditingId || !confirm('Remove this file from the note?')) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/notes/${currentEditingId}/attachments/${attachmentId}`, {
+      method: 'DELETE'
+    });
+
+    if (response.ok) {
+      await loadNotes();
+      const note = notes.find(n => n.id === currentEditingId);
+      resetAttachmentFields(note ? note.attachments || [] : []);
+    } else {
+      showError(await readError(response, 'Failed to remove file'));
+    }
+  } catch (error) {
+    console.error('Error removing attachment:', error);
+    showError('Failed to connect to server');
+  }
+}
+
+// Upload the files picked in the note form. Returns a list of problems (empty when everything was attached).
+async function uploadAttachments(noteId) {
+  const files = Array.from(document.getElementById('noteAttachments').files);
+  const problems = [];
+
+  for (const file of files) {
+    try {
+      const response = await fetch(`/api/notes/${noteId}/attachments`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': file.type || 'application/octet-stream',
+          'X-Filename': encodeURIComponent(file.name)
+        },
+        body: file
+      });
+
+      if (!response.ok) {
+        problems.push(`${file.name}: ${await readError(response, 'upload failed')}`);
+      }
+    } catch (error) {
+      console.error('Error uploading attachment:', error);
+      problems.push(`${file.name}: failed to connect to server`);
+    }
+  }
+
+  return problems;
+}
+
 // Close note form
 // skipUnsentCheck: if true, don't prompt to save to unsent notes (used when saving successfully)
 async function closeNoteForm(skipUnsentCheck = false) {
@@ -118,7 +666,8 @@ async function closeNoteForm(skipUnsentCheck = false) {
   // - Not skipping the check (i.e., cancel was clicked, not save)
   // - There's content
   // - We're not editing an existing note
-  if (!skipUnsentCheck && content && !currentEditingId) {
+  // - The note isn't meant to be encrypted (unsent notes are kept as plain text)
+  if (!skipUnsentCheck && content && !currentEditingId && !document.getElementById('noteEncrypt').checked) {
     const shouldSave = confirm('Save this note to unsent notes?\n\nNote: Your note will be saved anonymously (name and email will not be included).');
     if (shouldSave) {
       try {
@@ -126,7 +675,8 @@ async function closeNoteForm(skipUnsentCheck = false) {
         await fetch('/api/unsent-notes', {
           method: 'POST',
           headers: {
-            'Content-Type': 'application/json'
+            'Content-Type': 'application/json',
+            'Idempotency-Key': noteIdempotencyKey
           },
           body: JSON.stringify({ content }) // Don't send name or email
         });
@@ -142,6 +692,11 @@ async function closeNoteForm(skipUnsentCheck = false) {
   document.getElementById('noteContent').value = '';
   document.getElementById('noteName').value = '';
   document.getElementById('noteEmail').value = '';
+  document.getElementById('noteRecipients').value = '';
+  document.getElementById('noteAllowReplies').checked = false;
+  document.getElementById('noteTags').value = '';
+  document.getElementById('noteMood').value = '';
+  resetAttachmentFields([]);
 }
 
 // Edit note
@@ -149,10 +704,27 @@ async function editNote(id) {
   const note = notes.find(n => n.id === id);
   if (!note) return;
 
+  if (note.encrypted && typeof decryptedContent[note.id] !== 'string') {
+    await unlockNotes();
+    if (typeof decryptedContent[note.id] !== 'string') {
+      showError('Unlock this note with its passphrase to edit it');
+      return;
+    }
+  }
+
   currentEditingId = id;
-  document.getElementById('noteContent').value = note.content;
+  document.getElementById('noteContent').value = note.encrypted ? decryptedContent[note.id] : note.content;
+  document.getElementById('noteEncrypt').checked = !!note.encrypted;
   document.getElementById('noteName').value = note.name || '';
   document.getElementById('noteEmail').value = note.email || '';
+  document.getElementById('noteRecipients').value = (note.recipients || []).join(', ');
+  document.getElementById('noteAllowReplies').checked = !!note.allowReplies;
+  document.getElementById('noteTags').value = (note.tags || []).join(', ');
+  document.getElementById('noteMood').value = note.mood || '';
+  resetDeliveryFields(note);
+  resetAttachmentFields(note.attachments || []);
+  document.getElementById('noteSealGroup').style.display = 'none';
+  showNoteEditor();
   document.getElementById('noteModal').style.display = 'block';
   document.getElementById('noteName').focus();
 }
@@ -164,21 +736,48 @@ async function saveNote() {
   const name = nameInput ? nameInput.value.trim() : '';
   const emailInput = document.getElementById('noteEmail');
   const email = emailInput ? emailInput.value.trim() : '';
-  
-  console.log('Saving note - content length:', content.length, 'name:', name, 'email:', email); // Debug
+  const recipients = document.getElementById('noteRecipients').value.split(',').map(item => item.trim()).filter(Boolean);
+  const allowReplies = document.getElementById('noteAllowReplies').checked;
+  const tags = document.getElementById('noteTags').value.trim();
+  const mood = document.getElementById('noteMood').value || null;
   
   if (!content) {
-    alert('Please write something!');
+    showError('Please write something!');
     return;
   }
 
   // Validate email if provided
   if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-    alert('Please enter a valid email address');
+    showError('Please enter a valid email address');
+    return;
+  }
+
+  if (recipients.some(recipient => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipient))) {
+    showError(FIELD_MESSAGES.recipients);
+    return;
+  }
+
+  // Recipients are told who the note is from
+  if (recipients.length > 0 && !name) {
+    showError(FIELD_MESSAGES['name.required']);
+    return;
+  }
+
+  const deliveryFields = getDeliveryFields();
+  if (!deliveryFields) {
+    showError('Please pick a delivery date');
+    return;
+  }
+
+  // Encrypted notes leave the browser as ciphertext
+  const encrypt = document.getElementById('noteEncrypt').checked;
+  if (encrypt && !keyring && !(await requestPassphrase())) {
     return;
   }
 
   try {
+    const savedContent = encrypt ? await keyring.encrypt(content) : content;
+
     if (currentEditingId) {
       // Update existing note
       const response = await fetch(`/api/notes/${currentEditingId}`, {
@@ -186,44 +785,74 @@ async function saveNote() {
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ content, name: name || null, email: email || null })
+        body: JSON.stringify({ content: savedContent, name: name || null, email: email || null, recipients, allowReplies, tags, mood, timezone: browserTimeZone(), ...deliveryFields })
       });
 
       if (response.ok) {
+        if (encrypt) decryptedContent[currentEditingId] = content;
+        const problems = await uploadAttachments(currentEditingId);
         await loadNotes();
+        loadTags();
         closeNoteForm(true); // Skip unsent notes check since we just saved
+        if (problems.length > 0) {
+          showError(`Note saved, but some files could not be attached:\n${problems.join('\n')}`);
+        }
       } else {
-        showError('Failed to update note');
+        showError(await readError(response, 'Failed to update note'));
       }
     } else {
       // Create new note
+      const seal = document.getElementById('noteSeal').checked;
+      if (seal && !confirm('Seal this note? You won\'t be able to read or edit it until it arrives.')) {
+        return;
+      }
       const noteData = { 
-        content, 
+        content: savedContent, 
         name: name && name.length > 0 ? name : null,
-        email: email && email.length > 0 ? email : null
+        email: email && email.length > 0 ? email : null,
+        recipients,
+        allowReplies,
+        seal,
+        tags,
+        mood,
+        timezone: browserTimeZone(),
+        ...deliveryFields
       };
-      console.log('Sending note data:', noteData); // Debug
       
       const response = await fetch('/api/notes', {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          'Idempotency-Key': noteIdempotencyKey
         },
         body: JSON.stringify(noteData)
       });
 
       if (response.ok) {
         const savedNote = await response.json();
-        console.log('Note saved successfully:', savedNote); // Debug
-        if (email) {
-          alert('Note saved! You will receive an email with this note in exactly one year.');
+        if (encrypt) decryptedContent[savedNote.id] = content;
+        // A repeated save gets back the note the first one created - that one takes care of the rest
+        if (response.headers.get('Idempotent-Replayed') === 'true') {
+          return;
+        }
+        const problems = await uploadAttachments(savedNote.id);
+        if (problems.length > 0) {
+          showError(`Note saved, but some files could not be attached:\n${problems.join('\n')}`);
+        }
+        if (savedNote.emailStatus === 'unconfirmed') {
+          showNotice(`Note saved! We emailed ${email} a link - click it to confirm the address, and this note will arrive on ${deliveryDatesText(savedNote)}.`);
+        } else if (savedNote.emailStatus === 'unsubscribed') {
+          showNotice(`Note saved, but ${email} has unsubscribed from our emails, so it won't be emailed.`);
+        } else if (email) {
+          showNotice(`Note saved! You will receive an email with this note on ${deliveryDatesText(savedNote)}.`);
+        } else if (recipients.length > 0) {
+          showNotice(`Note saved! It will be emailed to ${recipients.join(', ')} on ${deliveryDatesText(savedNote)}.`);
         }
         await loadNotes();
+        loadTags();
         closeNoteForm(true); // Skip unsent notes check since we just saved
       } else {
-        const errorData = await response.json();
-        console.error('Failed to save note:', errorData);
-        showError('Failed to save note');
+        showError(await readError(response, 'Failed to save note'));
       }
     }
   } catch (error) {
@@ -232,12 +861,214 @@ async function saveNote() {
   }
 }
 
-// Delete note
-async function deleteNote(id) {
-  if (!confirm('Are you sure you want to delete this note?')) {
+// Open the revision history of a note, comparing the two latest versions
+async function showHistory(id) {
+  const note = notes.find(n => n.id === id);
+  if (note && note.encrypted && !keyring && !(await requestPassphrase())) {
     return;
   }
 
+  try {
+    const response = await fetch(`/api/notes/${id}/revisions`);
+    if (redirectIfLoggedOut(response)) return;
+    if (!response.ok) {
+      showError(await readError(response, 'Failed to load note history'));
+      return;
+    }
+
+    const revisions = await response.json();
+    historyNoteId = id;
+    historyRevisions = {};
+
+    const hasHistory = revisions.length > 1;
+    document.getElementById('historyEmpty').style.display = hasHistory ? 'none' : 'block';
+    document.getElementById('historyCompare').style.display = hasHistory ? 'flex' : 'none';
+    document.getElementById('historyRestore').style.display = hasHistory ? 'inline-block' : 'none';
+    document.getElementById('historyDiff').innerHTML = '';
+
+    const options = revisions.map(revision => `
+      <option value="${revision.revision}">version ${revision.revision}${revision.current ? ' (current)' : ''} - ${formatDate(revision.createdAt)}</option>
+    `).join('');
+    document.getElementById('historyFrom').innerHTML = options;
+    document.getElementById('historyTo').innerHTML = options;
+    document.getElementById('historyModal').style.display = 'block';
+
+    if (hasHistory) {
+      document.getElementById('historyFrom').value = revisions[1].revision;
+      document.getElementById('historyTo').value = revisions[0].revision;
+      await showRevisionDiff();
+    }
+  } catch (error) {
+    console.error('Error loading note history:', error);
+    showError('Failed to connect to server');
+  }
+}
+
+// One revision with its content, fetched once per modal
+async function fetchRevision(revision) {
+  if (!historyRevisions[revision]) {
+    const response = await fetch(`/api/notes/${historyNoteId}/revisions/${revision}`);
+    if (!response.ok) {
+      throw new Error(`Failed to load version ${revision}`);
+    }
+    const data = await response.json();
+    // Versions saved while the note was encrypted are decrypted here, so they can be compared
+    if (E2E.isEncrypted(data.content)) {
+      if (!keyring) {
+        throw new Error('Unlock your encrypted notes to see this version');
+      }
+      try {
+        data.content = await keyring.decrypt(data.content);
+      } catch (error) {
+        throw new Error(`Version ${revision} is encrypted with a different passphrase`);
+      }
+    }
+    historyRevisions[revision] = data;
+  }
+  return historyRevisions[revision];
+}
+
+// Show what changed between the two versions picked in the history modal
+async function showRevisionDiff() {
+  const fromSelect = document.getElementById('historyFrom');
+  const from = Number(fromSelect.value);
+  const to = Number(document.getElementById('historyTo').value);
+  const diffContainer = document.getElementById('historyDiff');
+
+  try {
+    const [before, after] = await Promise.all([fetchRevision(from), fetchRevision(to)]);
+    const fieldChange = (label, oldValue, newValue) => (oldValue || '') === (newValue || '') ? '' : `
+      <div class="history-field">${label}: <del>${escapeHtml(oldValue || 'none')}</del> <ins>${escapeHtml(newValue || 'none')}</ins></div>
+    `;
+    const contentDiff = Diff.diffWords(before.content, after.content);
+    diffContainer.innerHTML = `
+      ${fieldChange('name', before.name, after.name)}
+      ${fieldChange('email', before.email, after.email)}
+      <div class="history-content">${contentDiff.some(op => op.type !== 'equal') ? Diff.renderDiff(contentDiff) : escapeHtml(after.content)}</div>
+    `;
+  } catch (error) {
+    console.error('Error comparing versions:', error);
+    diffContainer.innerHTML = `<p class="form-hint">${escapeHtml(error.message)}</p>`;
+  }
+
+  // The first option is the current version, which there is no point restoring
+  const restoreButton = document.getElementById('historyRestore');
+  restoreButton.textContent = `restore version ${from}`;
+  restoreButton.disabled = fromSelect.selectedIndex === 0;
+}
+
+// Make the "compare" version the note's current one again
+async function restoreRevision() {
+  const revision = document.getElementById('historyFrom').value;
+  if (!confirm(`Restore version ${revision}? The note as it is now stays in its history.`)) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/notes/${historyNoteId}/revisions/${revision}/restore`, { method: 'POST' });
+    if (redirectIfLoggedOut(response)) return;
+
+    if (response.ok) {
+      delete decryptedContent[historyNoteId];
+      closeHistory();
+      await loadNotes();
+    } else {
+      showError(await readError(response, 'Failed to restore note'));
+    }
+  } catch (error) {
+    console.error('Error restoring note:', error);
+    showError('Failed to connect to server');
+  }
+}
+
+function closeHistory() {
+  document.getElementById('historyModal').style.display = 'none';
+  historyNoteId = null;
+  historyRevisions = {};
+}
+
+function showBackup() {
+  document.getElementById('importFile').value = '';
+  document.getElementById('importResult').textContent = '';
+  document.getElementById('backupModal').style.display = 'block';
+}
+
+function closeBackup() {
+  document.getElementById('backupModal').style.display = 'none';
+}
+
+// Download the diary - the server sends it as an attachment, so the page stays where it is
+function exportDiary() {
+  const format = document.getElementById('exportFormat').value;
+  window.location.href = `/api/export?format=${encodeURIComponent(format)}`;
+}
+
+// Upload a backup file and report how many notes were added
+async function importDiary() {
+  const file = document.getElementById('importFile').files[0];
+  const result = document.getElementById('importResult');
+  if (!file) {
+    showError('Please pick a file to import');
+    return;
+  }
+
+  const extension = file.name.split('.').pop().toLowerCase();
+  const format = { json: 'json', zip: 'markdown', csv: 'csv' }[extension];
+  if (!format) {
+    showError('Please pick a .json, .zip or .csv file');
+    return;
+  }
+
+  result.textContent = 'Importing...';
+  try {
+    const response = await fetch(`/api/import?format=${format}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: file
+    });
+    if (redirectIfLoggedOut(response)) return;
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      result.textContent = errorMessage(data, 'Import failed');
+      return;
+    }
+
+    const { notes, unsentNotes } = data.imported;
+    result.textContent = `Imported ${notes} note${notes === 1 ? '' : 's'} and ${unsentNotes} unsent note${unsentNotes === 1 ? '' : 's'}.` +
+      (data.skipped.length > 0 ? ` Skipped ${data.skipped.length}: ${data.skipped.slice(0, 5).map(item => `${item.id} (${item.reason})`).join(', ')}${data.skipped.length > 5 ? '...' : ''}` : '');
+    await loadNotes();
+    loadTags();
+  } catch (error) {
+    console.error('Error importing diary:', error);
+    result.textContent = 'Failed to connect to server';
+  }
+}
+
+// Admins get a link to the admin page (admin.html)
+async function showAdminButton() {
+  try {
+    const response = await fetch('/api/auth/me');
+    if (!response.ok) return;
+    const user = await response.json();
+    document.getElementById('adminButton').style.display = user.admin ? '' : 'none';
+  } catch (error) {
+    console.error('Error loading user:', error);
+  }
+}
+
+// Log out and go back to the log in page
+async function logout() {
+  try {
+    await fetch('/api/auth/logout', { method: 'POST' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+  }
+  window.location.href = 'login.html';
+}
+
+// Delete note - it goes to the trash (trash.html), so there is no need to ask first
+async function deleteNote(id) {
   try {
     const response = await fetch(`/api/notes/${id}`, {
       method: 'DELETE'
@@ -245,8 +1076,9 @@ async function deleteNote(id) {
 
     if (response.ok) {
       await loadNotes();
+      loadTags();
     } else {
-      showError('Failed to delete note');
+      showError(await readError(response, 'Failed to delete note'));
     }
   } catch (error) {
     console.error('Error deleting note:', error);
@@ -258,9 +1090,22 @@ async function deleteNote(id) {
 window.onclick = function(event) {
   const noteModal = document.getElementById('noteModal');
   const unsentModal = document.getElementById('unsentNotesModal');
+  const historyModal = document.getElementById('historyModal');
+  const backupModal = document.getElementById('backupModal');
+  const passphraseModal = document.getElementById('passphraseModal');
+  if (event.target === passphraseModal) {
+    closePassphrase();
+    return;
+  }
   if (event.target === noteModal) {
     closeNoteForm();
   }
+  if (event.target === historyModal) {
+    closeHistory();
+  }
+  if (event.target === backupModal) {
+    closeBackup();
+  }
   if (event.target === unsentModal) {
     closeUnsentNotes();
   }
@@ -269,8 +1114,15 @@ window.onclick = function(event) {
 // Close modal with Escape key
 document.addEventListener('keydown', (e) => {
   if (e.key === 'Escape') {
+    // The passphrase prompt sits on top of the other modals - close only that one
+    if (document.getElementById('passphraseModal').style.display === 'block') {
+      closePassphrase();
+      return;
+    }
     closeNoteForm();
     closeUnsentNotes();
+    closeHistory();
+    closeBackup();
   }
 });
 
@@ -326,12 +1178,12 @@ function displayUnsentNotes(unsentNotes) {
     // Unsent notes are anonymous - don't display name or email
     return `
     <div class="note-card">
-      <div class="note-content">${escapeHtml(note.content)}</div>
+      <div class="note-content markdown">${Markdown.renderMarkdown(note.content)}</div>
       <div class="note-meta">
         <div class="note-date">${formatDate(note.createdAt)}</div>
         <div class="note-actions">
-          <button class="pixel-button pixel-button-secondary" onclick="sendUnsentNote('${note.id}')">send</button>
-          <button class="pixel-button pixel-button-secondary" onclick="deleteUnsentNote('${note.id}')">delete</button>
+          <button class="pixel-button pixel-button-secondary" data-id="${escapeHtml(note.id)}" onclick="sendUnsentNote(this.dataset.id)">send</button>
+          <button class="pixel-button pixel-button-secondary" data-id="${escapeHtml(note.id)}" onclick="deleteUnsentNote(this.dataset.id)">delete</button>
         </div>
       </div>
     </div>
@@ -343,15 +1195,19 @@ function displayUnsentNotes(unsentNotes) {
 async function sendUnsentNote(id) {
   try {
     const response = await fetch(`/api/unsent-notes/${id}/send`, {
-      method: 'POST'
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ timezone: browserTimeZone() })
     });
 
     if (response.ok) {
       await loadUnsentNotes(); // Reload unsent notes
       await loadNotes(); // Reload regular notes
-      alert('Note sent successfully!');
+      showNotice('Note sent successfully!');
     } else {
-      showError('Failed to send note');
+      showError(await readError(response, 'Failed to send note'));
     }
   } catch (error) {
     console.error('Error sending unsent note:', error);
@@ -373,7 +1229,7 @@ async function deleteUnsentNote(id) {
     if (response.ok) {
       await loadUnsentNotes();
     } else {
-      showError('Failed to delete note');
+      showError(await readError(response, 'Failed to delete note'));
     }
   } catch (error) {
     console.error('Error deleting unsent note:', error);
@@ -408,14 +1264,49 @@ function formatDate(dateString) {
   }
 }
 
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+function formatLongDate(dateString) {
+  return new Date(dateString).toLocaleDateString('en-US', { 
+    year: 'numeric', 
+    month: 'short', 
+    day: 'numeric' 
+  });
+}
+
+// Midnight at the start of a YYYY-MM-DD day in local time
+function localDayStart(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+// YYYY-MM-DD in local time, for <input type="date">
+function toDateInputValue(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
 }
 
-function showError(message) {
-  console.error('Error:', message);
-  alert(message); // Simple alert for now
+// The writer's IANA timezone (e.g. "Europe/Berlin"), saved with notes so capsules arrive in the morning there
+function browserTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch (error) {
+    return null;
+  }
 }
 
+// Random key for the Idempotency-Key header. crypto.randomUUID only exists on https:// and localhost pages.
+function newIdempotencyKey() {
+  if (window.crypto && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+}
+
+// Send the user to the log in page when their session is missing or expired
+function redirectIfLoggedOut(response) {
+  if (response.status === 401) {
+    window.location.href = 'login.html';
+    return true;
+  }
+  return false;
+}
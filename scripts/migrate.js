@@ -0,0 +1,26 @@
+// Apply pending schema migrations to the configured storage backend: npm run migrate
+require('dotenv').config();
+
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+
+async function main() {
+  const storage = createStorage({ dataDir: path.join(__dirname, '..') });
+  try {
+    const pending = await storage.pendingMigrations();
+    if (pending.length === 0) {
+      console.log('✓ Storage schema is up to date');
+      return;
+    }
+    console.log(`Applying ${pending.length} migration(s)...`);
+    await storage.migrate();
+    console.log('✓ Migrations complete');
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch(error => {
+  console.error('✗ Migration failed:', error);
+  process.exitCode = 1;
+});
@@ -1,908 +1,2185 @@
 // Load environment variables from .env file
 require('dotenv').config();
 
-const express = require('express');
-const fs = require('fs');
 const path = require('path');
-const { Resend } = require('resend');
+const crypto = require('crypto');
+const express = require('express');
 const cron = require('node-cron');
-const { Pool } = require('pg');
+const auth = require('./lib/auth');
+const delivery = require('./lib/delivery');
+const { createStorage } = require('./lib/storage');
+const { createOutbox, MAX_ATTEMPTS } = require('./lib/outbox');
+const attachments = require('./lib/attachments');
+const search = require('./lib/search');
+const labels = require('./lib/labels');
+const recipients = require('./lib/recipients');
+const exporter = require('./lib/export');
+const schemas = require('./lib/schemas');
+const { validate } = require('./lib/validation');
+const { createMailTransport } = require('./lib/mail');
+const { createTemplateRenderer } = require('./lib/templates');
+const { renderMarkdown } = require('./public/markdown'); // same renderer the diary uses for note cards
+const { isEncrypted } = require('./public/e2e');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const NOTES_FILE = path.join(__dirname, 'notes.json');
 
-// Database configuration - use PostgreSQL if DATABASE_URL is set (production), otherwise use filesystem (local)
-const useDatabase = !!process.env.DATABASE_URL;
-let dbPool = null;
+// Storage backend - PostgreSQL if DATABASE_URL is set (production), otherwise JSON files (local).
+// Set STORAGE=postgres|sqlite|file|memory to choose explicitly.
+const storage = createStorage({ dataDir: __dirname });
 
-if (useDatabase) {
-  dbPool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: process.env.DATABASE_URL?.includes('localhost') ? false : { rejectUnauthorized: false }
-  });
-  console.log('✓ Using PostgreSQL database for persistent storage');
-} else {
-  console.log('✓ Using filesystem storage (local development)');
-  // Initialize notes file if it doesn't exist
-  if (!fs.existsSync(NOTES_FILE)) {
-    fs.writeFileSync(NOTES_FILE, JSON.stringify([], null, 2));
-  }
+// Where attachment files are kept: on disk (default) or inside the database (default for PostgreSQL, since Render's disk is wiped on every deploy)
+const ATTACHMENT_STORAGE = (process.env.ATTACHMENT_STORAGE || (storage.name === 'postgres' ? 'database' : 'disk')).toLowerCase();
+if (!['disk', 'database'].includes(ATTACHMENT_STORAGE)) {
+  throw new Error(`Unknown ATTACHMENT_STORAGE "${ATTACHMENT_STORAGE}" (expected disk or database)`);
 }
+const attachmentStore = attachments.createAttachmentStore({
+  storage,
+  dir: process.env.ATTACHMENT_DIR || path.join(__dirname, 'uploads'),
+  location: ATTACHMENT_STORAGE
+});
 
-// Email configuration using Resend API
-// Get API key from: https://resend.com/api-keys
-const RESEND_API_KEY = process.env.RESEND_API_KEY || '';
+// Public address of the app, used for links in emails
+const APP_URL = (process.env.APP_URL || process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+
+// Accounts that may use the admin page (admin.html): a comma separated list of email addresses
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean);
+
+// Deleted notes stay in the trash for this many days before they are deleted for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// Largest export file that can be imported (and how big a Markdown zip may get once unpacked, times 5)
+const IMPORT_MAX_BYTES = (parseFloat(process.env.IMPORT_MAX_MB) || 20) * 1024 * 1024;
+
+// Imported ids that are kept - anything else gets a new id
+const IMPORT_ID_PATTERN = /^[\w-]+$/;
+
+// Email configuration - MAIL_TRANSPORT picks how emails go out: resend (default when RESEND_API_KEY is set), smtp, file or console
+// Get a Resend API key from: https://resend.com/api-keys
 const FROM_EMAIL = process.env.FROM_EMAIL || 'onboarding@resend.dev'; // Default Resend domain for testing
 const FROM_NAME = process.env.FROM_NAME || 'Time Capsule Diary'; // Display name for emails
 
-// Create Resend client (only if API key is provided)
-let resend = null;
-if (RESEND_API_KEY) {
-  resend = new Resend(RESEND_API_KEY);
-  console.log('✓ Email service configured (Resend)');
+const REPLY_TO_EMAIL = process.env.REPLY_TO_EMAIL || 'capsulediary@gmail.com';
+
+// Create the mail transport (null if email is not configured)
+const mailer = createMailTransport({ dataDir: __dirname });
+if (mailer) {
+  console.log(`✓ Email service configured (${mailer.description})`);
   console.log(`  From Address: ${FROM_EMAIL}`);
 } else {
-  console.warn('⚠ Email service not configured. Set RESEND_API_KEY and FROM_EMAIL environment variables to enable email functionality.');
+  console.warn('⚠ Email service not configured. Set RESEND_API_KEY (or MAIL_TRANSPORT=smtp|file|console) and FROM_EMAIL environment variables to enable email functionality.');
   console.warn('  Get your API key at: https://resend.com/api-keys');
 }
 
-// Initialize database table if using PostgreSQL
-async function initDatabase() {
-  if (!useDatabase) return;
-  
-  try {
-    await dbPool.query(`
-      CREATE TABLE IF NOT EXISTS notes (
-        id VARCHAR(255) PRIMARY KEY,
-        content TEXT NOT NULL,
-        author VARCHAR(255) DEFAULT 'Anonymous',
-        name VARCHAR(255),
-        email VARCHAR(255),
-        email_sent BOOLEAN DEFAULT FALSE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    await dbPool.query(`
-      CREATE TABLE IF NOT EXISTS unsent_notes (
-        id VARCHAR(255) PRIMARY KEY,
-        content TEXT NOT NULL,
-        name VARCHAR(255),
-        email VARCHAR(255),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    console.log('✓ Database tables initialized');
-  } catch (error) {
-    console.error('Error initializing database:', error);
-  }
-}
-
-// Initialize database on startup
-initDatabase();
+// Email templates live in templates/emails - set EMAIL_TEMPLATES_DIR to use your own
+const templates = createTemplateRenderer();
+
+// Send an email through the configured transport, filling in the From and Reply-To addresses
+async function sendEmail(message) {
+  if (!mailer) {
+    throw new Error('Email service not configured');
+  }
+  return mailer.send({
+    from: `${FROM_NAME} <${FROM_EMAIL}>`,
+    replyTo: REPLY_TO_EMAIL,
+    ...message
+  });
+}
+
+// From address of the emails about a note that go to its recipients: "Alex via Time Capsule Diary", so they can
+// tell who it is from (see recipients.displayName for what is kept of the name).
+function senderFrom(note) {
+  const name = recipients.displayName(note.name);
+  return name ? `"${name} via ${FROM_NAME}" <${FROM_EMAIL}>` : `${FROM_NAME} <${FROM_EMAIL}>`;
+}
+
+// Link to public/email.html that confirms (action 'confirm') or unsubscribes ('unsubscribe') an address
+function emailLink(action, email) {
+  return `${APP_URL}/email.html?action=${action}&email=${encodeURIComponent(email)}&token=${auth.createEmailToken(action, email)}`;
+}
+
+// Render an email template for one recipient and send it. Every email carries a signed unsubscribe link:
+// unsubscribeUrl for the layout's footer, and the List-Unsubscribe headers that mail apps show as an
+// unsubscribe button (answered by POST /api/email/unsubscribe without opening a page).
+async function sendTemplateEmail(name, to, vars, extra = {}) {
+  const oneClick = `${APP_URL}/api/email/unsubscribe?email=${encodeURIComponent(to)}&token=${auth.createEmailToken('unsubscribe', to)}`;
+  return sendEmail({
+    to,
+    ...templates.renderEmail(name, { ...vars, unsubscribeUrl: emailLink('unsubscribe', to) }),
+    headers: {
+      'List-Unsubscribe': `<${oneClick}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    },
+    ...extra
+  });
+}
+
+// Errors are sent as { error, code }: a message for people and a code for programs (see "Errors" in the README).
+// Requests that fail validation also get details: [{ field, code, message }], one for each problem.
+function sendError(res, status, code, message, details) {
+  return res.status(status).json(details ? { error: message, code, details } : { error: message, code });
+}
+
+function sendValidationError(res, details) {
+  return sendError(res, 400, 'validation_failed', details[0].message, details);
+}
+
+// Check a request's route parameters, query string and body against a schema from lib/schemas.js.
+// The parts the schema covers are replaced with their checked values (trimmed, with query numbers as numbers...).
+function validateRequest(schema) {
+  return (req, res, next) => {
+    const details = [];
+    for (const part of ['params', 'query', 'body']) {
+      if (!schema[part]) continue;
+      const result = validate(schema[part], req[part], { fromText: part !== 'body' });
+      if (result.errors) {
+        details.push(...result.errors);
+      } else {
+        req[part] = result.value;
+      }
+    }
+    if (details.length > 0) {
+      return sendValidationError(res, details);
+    }
+    next();
+  };
+}
 
 // Middleware
-app.use(express.json());
+// Imports read their body themselves - a JSON backup has to reach them as the file it is, not parsed.
+// The limit leaves room for the longest note, encrypted.
+const parseJson = express.json({ limit: '1mb' });
+app.use((req, res, next) => (req.path === '/api/import' ? next() : parseJson(req, res, next)));
+
+// Notes written before accounts existed have no owner - hand them to the first user who registers
+async function claimOrphanedNotes(userId) {
+  const notes = await storage.notes.claimOrphans(userId);
+  const unsent = await storage.unsentNotes.claimOrphans(userId);
+  return notes + unsent;
+}
 
-// Helper function to read notes (works with both database and filesystem)
-async function readNotes() {
-  if (useDatabase) {
-    try {
-      const result = await dbPool.query(`
-        SELECT 
-          id,
-          content,
-          author,
-          name,
-          email,
-          email_sent as "emailSent",
-          created_at as "createdAt",
-          updated_at as "updatedAt"
-        FROM notes
-        ORDER BY created_at DESC
-      `);
-      return result.rows;
-    } catch (error) {
-      console.error('Error reading notes from database:', error);
-      return [];
+function isAdmin(user) {
+  return !!user && ADMIN_EMAILS.includes(user.email.toLowerCase());
+}
+
+// Only expose safe user fields to the browser
+function publicUser(user) {
+  return { id: user.id, email: user.email, name: user.name || null, admin: isAdmin(user), createdAt: user.createdAt };
+}
+
+// Cookies are only marked Secure when the request came in over HTTPS (Render terminates TLS at its proxy)
+function isSecureRequest(req) {
+  return req.secure || req.headers['x-forwarded-proto'] === 'https';
+}
+
+// Load the logged in user (if any) from the session cookie
+app.use(async (req, res, next) => {
+  try {
+    const cookies = auth.parseCookies(req.headers.cookie);
+    const userId = auth.readSessionToken(cookies[auth.SESSION_COOKIE]);
+    const user = userId ? await storage.users.findById(userId) : null;
+    if (user) {
+      req.user = user;
     }
-  } else {
-    // Filesystem fallback
-    try {
-      const data = fs.readFileSync(NOTES_FILE, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      console.error('Error reading notes from file:', error);
-      return [];
+  } catch (error) {
+    console.error('Error loading session user:', error);
+  }
+  next();
+});
+
+// Routes that need a logged in user
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return sendError(res, 401, 'not_logged_in', 'You need to log in first');
+  }
+  next();
+}
+
+// Routes for admins only (see ADMIN_EMAILS) - use after requireAuth
+function requireAdmin(req, res, next) {
+  if (!isAdmin(req.user)) {
+    return sendError(res, 403, 'forbidden', 'Only admins can do this');
+  }
+  next();
+}
+
+// Attachment fields the browser needs, including where to download the file
+function publicAttachment(attachment) {
+  return {
+    id: attachment.id,
+    filename: attachment.filename,
+    contentType: attachment.contentType,
+    size: attachment.size,
+    createdAt: attachment.createdAt,
+    url: `/api/notes/${attachment.noteId}/attachments/${attachment.id}`
+  };
+}
+
+// What the browser sees of a sealed note before its delivery date: the envelope, not the letter
+function sealedEnvelope(note) {
+  return {
+    id: note.id,
+    ownerId: note.ownerId,
+    name: note.name,
+    sealed: true,
+    locked: true,
+    deliverAt: delivery.getDeliverAt(note).toISOString(),
+    // Replies stay a surprise, but the diary can say it is one
+    inReplyTo: note.inReplyTo || null,
+    createdAt: note.createdAt
+  };
+}
+
+// Notes as returned by the API: locked notes are reduced to their envelope, others get their attachments.
+// Notes with an email address also get its emailStatus.
+async function presentNotes(notes) {
+  const grouped = await attachmentStore.groupByNote(notes.map(note => note.id));
+  return (await withEmailStatus(notes)).map(note => {
+    if (delivery.isLocked(note)) {
+      // The envelope doesn't show the address, only whether it still has to be confirmed
+      return note.emailStatus ? { ...sealedEnvelope(note), emailStatus: note.emailStatus } : sealedEnvelope(note);
     }
+    return { ...note, attachments: grouped[note.id].map(publicAttachment) };
+  });
+}
+
+// An error from delivery.resolveDeliveries as validation details. The schemas already check the format of
+// deliverAt, deliverOn and deliverIn, so what's left is a date that isn't in the future.
+function deliveryProblem(message) {
+  if (message.startsWith('deliverIn')) {
+    return { field: 'deliverIn', code: 'invalid_value', message };
   }
+  return { field: message.startsWith('deliverOn') ? 'deliverOn' : 'deliverAt', code: 'out_of_range', message };
 }
 
-// Helper function to write notes (works with both database and filesystem)
-async function writeNotes(notes) {
-  if (useDatabase) {
-    // For database, we don't write all notes at once - individual operations handle it
-    return true;
-  } else {
-    // Filesystem fallback
-    try {
-      fs.writeFileSync(NOTES_FILE, JSON.stringify(notes, null, 2));
-      return true;
-    } catch (error) {
-      console.error('Error writing notes to file:', error);
+// Capsules to other people say who they are from, so those notes need a name
+function unnamedSenderProblem() {
+  return { field: 'name', code: 'required', message: 'name is required when the note is sent to other people - it tells them who it is from' };
+}
+
+function sealedUntilMessage(note) {
+  return `This note is sealed until ${delivery.formatLongDate(delivery.getDeliverAt(note), delivery.noteTimeZone(note))}`;
+}
+
+// Addresses are kept in lower case in the address list (storage.emailAddresses)
+function addressKey(email) {
+  return email.toLowerCase();
+}
+
+// Where an address is up to: 'confirmed', 'unconfirmed' (its confirmation link hasn't been clicked yet)
+// or 'unsubscribed' (it is on the suppression list and gets no more emails)
+function addressStatus(address) {
+  if (address && address.unsubscribedAt) return 'unsubscribed';
+  return address && address.confirmedAt ? 'confirmed' : 'unconfirmed';
+}
+
+// An address that hasn't been confirmed gets a confirmation link at most once a day, however many notes are
+// sent to it - so nobody can use the diary to flood someone else's inbox
+const CONFIRMATION_RESEND_MS = 24 * 60 * 60 * 1000;
+
+function confirmationRecentlySent(address, now = Date.now()) {
+  return !!address && !!address.confirmationSentAt && now - new Date(address.confirmationSentAt).getTime() < CONFIRMATION_RESEND_MS;
+}
+
+// The address list records of the notes' addresses (their own and their recipients'), by address
+async function loadAddresses(notes, repos = storage) {
+  const emails = [...new Set(notes.flatMap(note => recipients.noteAddresses(note)).map(addressKey))];
+  const addresses = await repos.emailAddresses.getMany(emails);
+  return new Map(addresses.map(address => [address.email, address]));
+}
+
+// Add emailStatus (see addressStatus) to the notes that have an email address, and recipientStatus
+// ({ address: status }) to the ones addressed to other people
+async function withEmailStatus(notes) {
+  const addresses = await loadAddresses(notes);
+  const statusOf = email => addressStatus(addresses.get(addressKey(email)));
+  return notes.map(note => {
+    const presented = note.email ? { ...note, emailStatus: statusOf(note.email) } : note;
+    if (!note.recipients || note.recipients.length === 0) return presented;
+    return { ...presented, recipientStatus: Object.fromEntries(note.recipients.map(email => [email, statusOf(email)])) };
+  });
+}
+
+// Queue the confirmation email for one of a note's addresses (its own unless email is given). Pass the repositories
+// of a transaction to queue it together with the note. An address that hasn't been confirmed gets a link to confirm it
+// (see CONFIRMATION_RESEND_MS) - capsules to it wait until it is clicked. A confirmed one gets a thank-you, unless
+// thankYou is false. Addresses that unsubscribed get nothing.
+async function queueConfirmationEmail(note, repos = storage, { thankYou = true, email = note.email } = {}) {
+  if (!email || !mailer) return false;
+
+  const address = await repos.emailAddresses.get(addressKey(email));
+  const status = addressStatus(address);
+  if (status === 'unsubscribed' || (status === 'confirmed' && !thankYou)) {
+    return false;
+  }
+  if (status === 'unconfirmed') {
+    if (confirmationRecentlySent(address)) {
+      console.log(`A confirmation link went to ${email} less than a day ago, not sending another`);
       return false;
     }
+    const now = new Date().toISOString();
+    await repos.emailAddresses.update(addressKey(email), { confirmationSentAt: now, updatedAt: now });
   }
+
+  console.log(`Queueing confirmation email to ${email}...`);
+  await outbox.enqueue({ type: 'confirmation', note, recipient: email }, repos);
+  return true;
+}
+
+// Ask recipients of a note to confirm their addresses. Recipients only hear from us before their capsule arrives
+// when they still have to confirm - the thank-you is for the writer. Returns whether any email was queued.
+async function queueRecipientConfirmations(note, emails, repos = storage) {
+  let queued = false;
+  for (const email of emails) {
+    if (recipients.isRecipient(note, email) && await queueConfirmationEmail(note, repos, { thankYou: false, email })) {
+      queued = true;
+    }
+  }
+  return queued;
+}
+
+// Store the note as it is now as its next revision. Revisions keep the parts of a note that edits change.
+async function recordRevision(note, repos = storage) {
+  return repos.revisions.create({
+    noteId: note.id,
+    ownerId: note.ownerId || null,
+    content: note.content,
+    name: note.name,
+    email: note.email,
+    createdAt: note.updatedAt || note.createdAt
+  });
+}
+
+// Apply an edit to a note and store the result as a new revision (when the content, name or email changed)
+async function updateNoteWithRevision(note, changes) {
+  const revised = ['content', 'name', 'email'].some(field => field in changes && changes[field] !== note[field]);
+  return storage.transaction(async (tx) => {
+    if (revised && (await tx.revisions.listForNote(note.id)).length === 0) {
+      // Notes written before revisions existed start their history with the version being replaced
+      await recordRevision(note, tx);
+    }
+    const updatedNote = await tx.notes.update(note.id, changes);
+    if (revised) {
+      await recordRevision(updatedNote, tx);
+    }
+    return updatedNote;
+  });
+}
+
+// Send queued emails after the response has gone out (completely async, don't wait)
+function kickOutbox() {
+  // Use setImmediate to ensure this runs after the response is sent
+  setImmediate(() => {
+    outbox.processDue().catch(err => {
+      console.error('✗ Outbox run failed:', err.message || err);
+    });
+  });
+}
+
+// Create requests can carry an Idempotency-Key header, so sending the same request twice (a double click,
+// a retry after a dropped connection) only creates one note. Keys are remembered for a day.
+const IDEMPOTENCY_KEY_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// The request's Idempotency-Key: {} when there is none, { key } or { error } with validation details
+function readIdempotencyKey(req) {
+  const header = req.get('Idempotency-Key');
+  if (header === undefined) return {};
+  const key = header.trim();
+  if (key.length === 0 || key.length > 255) {
+    return { error: { field: 'Idempotency-Key', code: 'invalid_value', message: 'Idempotency-Key must be between 1 and 255 characters' } };
+  }
+  return { key };
+}
+
+// If a request with this Idempotency-Key already created something, answer with that again.
+// scope names the kind of thing created (each has its own keys), repo is where it's kept and present (which can be
+// async) turns it into the response body, the same as when it was created.
+// Returns true when the response has been sent.
+async function replayIdempotentRequest(req, res, { scope, key, repo, present = record => record }) {
+  const used = await storage.idempotencyKeys.get(req.user.id, scope, key);
+  if (!used) return false;
+
+  const created = await repo.get(used.resourceId, req.user.id);
+  res.set('Idempotent-Replayed', 'true');
+  if (created) {
+    res.status(201).json(await present(created));
+  } else {
+    sendError(res, 409, 'idempotency_key_reused', 'What this Idempotency-Key created has been deleted since');
+  }
+  return true;
 }
 
 // API Routes (must be before static middleware)
 
+// Auth Routes
+
+// Register a new account
+app.post('/api/auth/register', validateRequest(schemas.register), async (req, res) => {
+  const { password } = req.body;
+  const trimmedEmail = req.body.email.toLowerCase();
+  const trimmedName = req.body.name || null;
+
+  try {
+    if (await storage.users.findByEmail(trimmedEmail)) {
+      return sendError(res, 409, 'email_taken', 'An account with that email already exists');
+    }
+
+    const isFirstUser = (await storage.users.count()) === 0;
+    const user = await storage.users.create({
+      id: crypto.randomUUID(),
+      email: trimmedEmail,
+      name: trimmedName,
+      passwordHash: await auth.hashPassword(password),
+      createdAt: new Date().toISOString()
+    });
+    console.log(`✓ Registered user ${user.email}`);
+
+    if (isFirstUser) {
+      const claimed = await claimOrphanedNotes(user.id);
+      if (claimed > 0) {
+        console.log(`  Assigned ${claimed} existing note(s) to ${user.email}`);
+      }
+    }
+
+    res.setHeader('Set-Cookie', auth.sessionCookie(auth.createSessionToken(user.id), isSecureRequest(req)));
+    res.status(201).json(publicUser(user));
+  } catch (error) {
+    console.error('Error registering user:', error);
+    sendError(res, 500, 'server_error', 'Failed to register');
+  }
+});
+
+// Log in
+app.post('/api/auth/login', validateRequest(schemas.login), async (req, res) => {
+  const { password } = req.body;
+  const trimmedEmail = req.body.email.toLowerCase();
+
+  try {
+    const user = await storage.users.findByEmail(trimmedEmail);
+    if (!user || !(await auth.verifyPassword(password, user.passwordHash))) {
+      return sendError(res, 401, 'invalid_credentials', 'Incorrect email or password');
+    }
+
+    res.setHeader('Set-Cookie', auth.sessionCookie(auth.createSessionToken(user.id), isSecureRequest(req)));
+    res.json(publicUser(user));
+  } catch (error) {
+    console.error('Error logging in:', error);
+    sendError(res, 500, 'server_error', 'Failed to log in');
+  }
+});
+
+// Log out
+app.post('/api/auth/logout', validateRequest(schemas.empty), (req, res) => {
+  res.setHeader('Set-Cookie', auth.clearSessionCookie(isSecureRequest(req)));
+  res.json({ message: 'Logged out' });
+});
+
+// Get the logged in user
+app.get('/api/auth/me', requireAuth, validateRequest(schemas.empty), (req, res) => {
+  res.json(publicUser(req.user));
+});
+
+const DEFAULT_PAGE_SIZE = 20;
+
+// Turn the checked query of GET /api/notes into the options for notes.search
+function searchOptions(query) {
+  const options = {};
+  if (query.q) options.q = query.q;
+
+  // Dates without a time (2025-05-01) cover the whole day, so `to` includes the day it names
+  for (const name of ['from', 'to']) {
+    if (!query[name]) continue;
+    const date = new Date(query[name]);
+    if (name === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query[name])) {
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+    options[name] = date.toISOString();
+  }
+
+  if (typeof query.hasEmail === 'boolean') options.hasEmail = query.hasEmail;
+  // Notes must have every tag
+  if (query.tag !== undefined) options.tags = query.tag;
+  if (query.mood) options.mood = query.mood;
+
+  const page = query.page || 1;
+  const limit = query.limit || DEFAULT_PAGE_SIZE;
+  return { ...options, page, limit, offset: (page - 1) * limit };
+}
+
 // Get all notes
-app.get('/api/notes', async (req, res) => {
-  const notes = await readNotes();
-  res.json(notes);
+// With any of ?q=&from=&to=&hasEmail=&tag=&mood=&page=&limit= this searches instead and returns one page:
+// { notes, total, page, limit, pages }. Search results are ranked and carry a highlighted `snippet`.
+app.get('/api/notes', requireAuth, validateRequest(schemas.searchNotes), async (req, res) => {
+  try {
+    if (Object.keys(req.query).length === 0) {
+      const notes = await storage.notes.list({ ownerId: req.user.id });
+      return res.json(await presentNotes(notes));
+    }
+
+    const { page, limit, ...options } = searchOptions(req.query);
+    const result = await storage.notes.search({ ...options, limit, ownerId: req.user.id });
+    const notes = (await presentNotes(result.notes)).map(note =>
+      note.snippet !== undefined ? { ...note, snippet: search.snippetToHtml(note.snippet) } : note
+    );
+
+    res.json({
+      notes,
+      total: result.total,
+      page,
+      limit,
+      pages: Math.ceil(result.total / limit)
+    });
+  } catch (error) {
+    console.error('Error reading notes:', error);
+    sendError(res, 500, 'server_error', 'Failed to fetch notes');
+  }
+});
+
+// Every tag the user has used and every mood, with how many notes have each (for the tag browser)
+app.get('/api/tags', requireAuth, validateRequest(schemas.empty), async (req, res) => {
+  try {
+    const counts = await storage.notes.labelCounts({ ownerId: req.user.id });
+    const moodCounts = new Map(counts.moods.map(({ mood, count }) => [mood, count]));
+    res.json({
+      tags: counts.tags,
+      moods: Object.entries(labels.MOODS).map(([mood, emoji]) => ({ mood, emoji, count: moodCounts.get(mood) || 0 }))
+    });
+  } catch (error) {
+    console.error('Error reading tags:', error);
+    sendError(res, 500, 'server_error', 'Failed to fetch tags');
+  }
 });
 
 // Get a single note by ID
-app.get('/api/notes/:id', async (req, res) => {
-  if (useDatabase) {
-    try {
-      const result = await dbPool.query(
-        'SELECT id, content, author, name, email, email_sent as "emailSent", created_at as "createdAt", updated_at as "updatedAt" FROM notes WHERE id = $1',
-        [req.params.id]
-      );
-      if (result.rows.length > 0) {
-        res.json(result.rows[0]);
-      } else {
-        res.status(404).json({ error: 'Note not found' });
-      }
-    } catch (error) {
-      console.error('Error fetching note:', error);
-      res.status(500).json({ error: 'Failed to fetch note' });
-    }
-  } else {
-    const notes = await readNotes();
-    const note = notes.find(n => n.id === req.params.id);
+app.get('/api/notes/:id', requireAuth, validateRequest(schemas.note), async (req, res) => {
+  try {
+    const note = await storage.notes.get(req.params.id, req.user.id);
     if (note) {
-      res.json(note);
+      // Where the confirmation and capsule emails are up to (queued, retrying, sent or failed)
+      const [presented] = await presentNotes([note]);
+      res.json({ ...presented, delivery: await outbox.deliveryStatus(note.id) });
     } else {
-      res.status(404).json({ error: 'Note not found' });
+      sendError(res, 404, 'not_found', 'Note not found');
     }
+  } catch (error) {
+    console.error('Error fetching note:', error);
+    sendError(res, 500, 'server_error', 'Failed to fetch note');
   }
 });
 
 // Create a new note
-app.post('/api/notes', async (req, res) => {
-  const { content, author, name, email } = req.body;
-  console.log('Received note data:', { content, author, name, email }); // Debug
-  if (!content || content.trim() === '') {
-    return res.status(400).json({ error: 'Note content is required' });
+app.post('/api/notes', requireAuth, validateRequest(schemas.createNote), async (req, res) => {
+  const { content, author, name, email, deliverAt, deliverOn, deliverIn, repeatYearly, timezone, seal, tags, mood, allowReplies } = req.body;
+  const idempotency = readIdempotencyKey(req);
+  if (idempotency.error) {
+    return sendValidationError(res, [idempotency.error]);
+  }
+  const noteRecipients = req.body.recipients || [];
+  if (noteRecipients.length > 0 && !name) {
+    return sendValidationError(res, [unnamedSenderProblem()]);
+  }
+
+  const schedule = delivery.resolveDeliveries({ deliverAt, deliverOn, deliverIn }, new Date(), delivery.noteTimeZone({ timezone }));
+  if (schedule.error) {
+    return sendValidationError(res, [deliveryProblem(schedule.error)]);
   }
 
-  const trimmedName = (name && typeof name === 'string' && name.trim().length > 0) ? name.trim() : null;
-  const trimmedEmail = (email && typeof email === 'string' && email.trim().length > 0 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) ? email.trim() : null;
-  const noteId = Date.now().toString();
   const now = new Date().toISOString();
   
   const newNote = {
-    id: noteId,
-    content: content.trim(),
+    id: crypto.randomUUID(),
+    ownerId: req.user.id,
+    content,
     author: author || 'Anonymous',
-    name: trimmedName,
-    email: trimmedEmail,
+    name: name || null,
+    email: email || null,
     emailSent: false,
+    // The first delivery - a sealed note opens then
+    deliverAt: schedule.deliveries[0],
+    // Every delivery with its own sent state, and whether another one follows every year
+    deliveries: schedule.deliveries.map(date => ({ deliverAt: date, sentAt: null, yearly: false })),
+    repeatYearly: repeatYearly === true,
+    // Other people the capsule is emailed to, and whether their emails have a link to write back
+    recipients: noteRecipients,
+    allowReplies: allowReplies === true,
+    // The writer's timezone - the capsule arrives at DELIVERY_HOUR there
+    timezone: timezone || null,
+    // Sealed notes can't be read or edited until their delivery date
+    sealed: seal === true,
+    // Encrypted in the browser - the server only has the ciphertext
+    encrypted: isEncrypted(content),
+    tags: tags || [],
+    mood: mood || null,
     createdAt: now,
     updatedAt: now
   };
 
-  console.log('Creating new note:', newNote); // Debug
+  const replay = {
+    scope: 'notes',
+    key: idempotency.key,
+    repo: storage.notes,
+    present: async note => (await presentNotes([note]))[0]
+  };
 
-  if (useDatabase) {
-    try {
-      await dbPool.query(
-        `INSERT INTO notes (id, content, author, name, email, email_sent, created_at, updated_at)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-        [noteId, newNote.content, newNote.author, newNote.name, newNote.email, false, now, now]
-      );
-      console.log('Note saved to database, returning:', newNote);
-      res.status(201).json(newNote);
-      
-      // Send confirmation email if email is provided (completely async, don't wait)
-      if (trimmedEmail) {
-        console.log(`Queueing confirmation email to ${trimmedEmail}...`);
-        // Use setImmediate to ensure this runs after the response is sent
-        setImmediate(() => {
-          sendConfirmationEmail(newNote)
-            .then(sent => {
-              if (sent) {
-                console.log(`✓ Confirmation email sent successfully to ${trimmedEmail}`);
-              } else {
-                console.log(`⚠ Confirmation email not sent`);
-              }
-            })
-            .catch(err => {
-              console.error('✗ Failed to send confirmation email:', err.message || err);
-            });
-        });
+  try {
+    if (idempotency.key && await replayIdempotentRequest(req, res, replay)) return;
+
+    // Save the note and queue its confirmation email (if email is provided) together
+    const queued = await storage.transaction(async (tx) => {
+      if (idempotency.key) {
+        await tx.idempotencyKeys.create({ ownerId: req.user.id, scope: 'notes', key: idempotency.key, resourceId: newNote.id, createdAt: now });
       }
-    } catch (error) {
-      console.error('Error saving note to database:', error);
-      res.status(500).json({ error: 'Failed to save note' });
+      await tx.notes.create(newNote);
+      await recordRevision(newNote, tx);
+      const toRecipients = await queueRecipientConfirmations(newNote, noteRecipients, tx);
+      return (await queueConfirmationEmail(newNote, tx)) || toRecipients;
+    });
+    console.log(`✓ Saved note ${newNote.id}`);
+    const [created] = await presentNotes([newNote]);
+    res.status(201).json(created);
+
+    if (queued) {
+      kickOutbox();
     }
-  } else {
-    const notes = await readNotes();
-    notes.push(newNote);
-    if (await writeNotes(notes)) {
-      console.log('Note saved to file, returning:', newNote);
-      res.status(201).json(newNote);
-      
-      // Send confirmation email if email is provided (completely async, don't wait)
-      if (trimmedEmail) {
-        console.log(`Queueing confirmation email to ${trimmedEmail}...`);
-        // Use setImmediate to ensure this runs after the response is sent
-        setImmediate(() => {
-          sendConfirmationEmail(newNote)
-            .then(sent => {
-              if (sent) {
-                console.log(`✓ Confirmation email sent successfully to ${trimmedEmail}`);
-              } else {
-                console.log(`⚠ Confirmation email not sent`);
-              }
-            })
-            .catch(err => {
-              console.error('✗ Failed to send confirmation email:', err.message || err);
-            });
-        });
-      }
+  } catch (error) {
+    // A request with the same Idempotency-Key may have got there first
+    if (idempotency.key && await replayIdempotentRequest(req, res, replay).catch(() => false)) return;
+    console.error('Error saving note:', error);
+    sendError(res, 500, 'server_error', 'Failed to save note');
+  }
+});
+
+// Update a note
+app.put('/api/notes/:id', requireAuth, validateRequest(schemas.updateNote), async (req, res) => {
+  const { content, deliverAt, deliverOn, deliverIn, repeatYearly, timezone, tags, mood, recipients: newRecipients, allowReplies } = req.body;
+
+  // The delivery dates only change if the request asks for it
+  const reschedule = !!deliverAt || !!deliverOn || !!deliverIn;
+
+  const trimmedName = req.body.name || null;
+  const trimmedEmail = req.body.email || null;
+
+  try {
+    // First check if note exists (and belongs to this user)
+    const note = await storage.notes.get(req.params.id, req.user.id);
+    if (!note) {
+      return sendError(res, 404, 'not_found', 'Note not found');
+    }
+    if (delivery.isLocked(note)) {
+      return sendError(res, 403, 'note_sealed', `${sealedUntilMessage(note)} and can't be edited`);
+    }
+    // Recipients are left alone when the request doesn't include them
+    const noteRecipients = newRecipients === undefined ? note.recipients || [] : newRecipients;
+    if (noteRecipients.length > 0 && !trimmedName) {
+      return sendValidationError(res, [unnamedSenderProblem()]);
+    }
+
+    // A new delivery date is worked out in the timezone the note is being edited in
+    const timeZone = delivery.noteTimeZone({ timezone: timezone || note.timezone });
+    const schedule = reschedule ? delivery.resolveDeliveries({ deliverAt, deliverOn, deliverIn }, note.createdAt, timeZone) : {};
+    if (schedule.error) {
+      return sendValidationError(res, [deliveryProblem(schedule.error)]);
+    }
+
+    const changes = {
+      content,
+      encrypted: isEncrypted(content),
+      name: trimmedName,
+      email: trimmedEmail,
+      updatedAt: new Date().toISOString()
+    };
+    // New dates replace the deliveries still waiting, and a different address gets the last one that went out again -
+    // unless the note has recipients, who would get it again too
+    const resend = trimmedEmail !== note.email && noteRecipients.length === 0;
+    if (reschedule || resend || repeatYearly !== undefined) {
+      let deliveries = delivery.getDeliveries(note);
+      if (reschedule) deliveries = delivery.rescheduled(deliveries, schedule.deliveries);
+      if (resend) deliveries = delivery.resendLast(deliveries);
+      changes.repeatYearly = repeatYearly === undefined ? !!note.repeatYearly : repeatYearly;
+      Object.assign(changes, delivery.deliveriesChanges({ ...note, repeatYearly: changes.repeatYearly }, deliveries));
+      changes.deliverAt = changes.deliveries[0].deliverAt;
+    }
+    // Tags, mood and timezone are left alone when the request doesn't include them
+    if (tags !== undefined) {
+      changes.tags = tags;
+    }
+    if (mood !== undefined) {
+      changes.mood = mood;
+    }
+    if (timezone) {
+      changes.timezone = timezone;
+    }
+    if (newRecipients !== undefined) {
+      changes.recipients = newRecipients;
+    }
+    if (allowReplies !== undefined) {
+      changes.allowReplies = allowReplies;
+    }
+
+    const updatedNote = await updateNoteWithRevision(note, changes);
+    // New addresses have to be confirmed before capsules can go to them
+    const added = noteRecipients.filter(email => !recipients.noteAddresses(note).some(other => addressKey(other) === addressKey(email)));
+    const toRecipients = await queueRecipientConfirmations(updatedNote, added);
+    if ((trimmedEmail && trimmedEmail !== note.email && await queueConfirmationEmail(updatedNote, storage, { thankYou: false })) || toRecipients) {
+      kickOutbox();
+    }
+    const [presented] = await presentNotes([updatedNote]);
+    res.json(presented);
+  } catch (error) {
+    console.error('Error updating note:', error);
+    sendError(res, 500, 'server_error', 'Failed to update note');
+  }
+});
+
+// Delete a note - it goes to the trash, where it can be restored until the trash is purged.
+// Emails still queued for it are cancelled when the outbox gets to them.
+app.delete('/api/notes/:id', requireAuth, validateRequest(schemas.note), async (req, res) => {
+  try {
+    if (await storage.notes.trash(req.params.id, req.user.id)) {
+      res.json({ message: 'Note moved to trash' });
     } else {
-      res.status(500).json({ error: 'Failed to save note' });
+      sendError(res, 404, 'not_found', 'Note not found');
     }
+  } catch (error) {
+    console.error('Error deleting note:', error);
+    sendError(res, 500, 'server_error', 'Failed to delete note');
   }
 });
 
-// Update a note
-app.put('/api/notes/:id', async (req, res) => {
-  const { content, name, email } = req.body;
-  if (!content || content.trim() === '') {
-    return res.status(400).json({ error: 'Note content is required' });
+// Revision history: every saved version of a note, newest first (without the content - fetch a revision for that)
+app.get('/api/notes/:id/revisions', requireAuth, validateRequest(schemas.note), async (req, res) => {
+  try {
+    const note = await storage.notes.get(req.params.id, req.user.id);
+    if (!note) {
+      return sendError(res, 404, 'not_found', 'Note not found');
+    }
+    if (delivery.isLocked(note)) {
+      return sendError(res, 403, 'note_sealed', sealedUntilMessage(note));
+    }
+
+    const revisions = await storage.revisions.listForNote(note.id);
+    res.json(revisions.map((revision, index) => ({
+      revision: revision.revision,
+      name: revision.name,
+      email: revision.email,
+      length: revision.content.length,
+      current: index === 0,
+      createdAt: revision.createdAt
+    })));
+  } catch (error) {
+    console.error('Error reading revisions:', error);
+    sendError(res, 500, 'server_error', 'Failed to fetch revisions');
   }
+});
 
-  const trimmedName = name && name.trim() ? name.trim() : null;
-  const trimmedEmail = (email && typeof email === 'string' && email.trim().length > 0 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) ? email.trim() : null;
-  const updatedAt = new Date().toISOString();
+// One version of a note, with its content
+app.get('/api/notes/:id/revisions/:revision', requireAuth, validateRequest(schemas.revision), async (req, res) => {
+  try {
+    const note = await storage.notes.get(req.params.id, req.user.id);
+    if (!note) {
+      return sendError(res, 404, 'not_found', 'Note not found');
+    }
+    if (delivery.isLocked(note)) {
+      return sendError(res, 403, 'note_sealed', sealedUntilMessage(note));
+    }
 
-  if (useDatabase) {
-    try {
-      // First check if note exists and get current email
-      const checkResult = await dbPool.query('SELECT email FROM notes WHERE id = $1', [req.params.id]);
-      if (checkResult.rows.length === 0) {
-        return res.status(404).json({ error: 'Note not found' });
-      }
+    const revision = await storage.revisions.get(note.id, req.params.revision);
+    if (!revision) {
+      return sendError(res, 404, 'not_found', 'Revision not found');
+    }
+    const { ownerId, ...publicRevision } = revision;
+    res.json(publicRevision);
+  } catch (error) {
+    console.error('Error reading revision:', error);
+    sendError(res, 500, 'server_error', 'Failed to fetch revision');
+  }
+});
 
-      const currentEmail = checkResult.rows[0].email;
-      const emailSent = (trimmedEmail !== currentEmail) ? false : undefined; // Reset if email changed
+// Bring back an earlier version of a note. The restored version is saved as a new revision, so nothing is lost.
+app.post('/api/notes/:id/revisions/:revision/restore', requireAuth, validateRequest(schemas.revision), async (req, res) => {
+  try {
+    const note = await storage.notes.get(req.params.id, req.user.id);
+    if (!note) {
+      return sendError(res, 404, 'not_found', 'Note not found');
+    }
+    if (delivery.isLocked(note)) {
+      return sendError(res, 403, 'note_sealed', `${sealedUntilMessage(note)} and can't be edited`);
+    }
 
-      const updateFields = ['content = $1', 'name = $2', 'email = $3', 'updated_at = $4'];
-      const updateValues = [content.trim(), trimmedName, trimmedEmail, updatedAt];
-      
-      if (emailSent !== undefined) {
-        updateFields.push('email_sent = $5');
-        updateValues.push(false);
-      }
+    const revision = await storage.revisions.get(note.id, req.params.revision);
+    if (!revision) {
+      return sendError(res, 404, 'not_found', 'Revision not found');
+    }
 
-      await dbPool.query(
-        `UPDATE notes SET ${updateFields.join(', ')} WHERE id = $${updateValues.length + 1}`,
-        [...updateValues, req.params.id]
-      );
-
-      // Fetch updated note
-      const result = await dbPool.query(
-        'SELECT id, content, author, name, email, email_sent as "emailSent", created_at as "createdAt", updated_at as "updatedAt" FROM notes WHERE id = $1',
-        [req.params.id]
-      );
-      res.json(result.rows[0]);
-    } catch (error) {
-      console.error('Error updating note in database:', error);
-      res.status(500).json({ error: 'Failed to update note' });
+    const changes = {
+      content: revision.content,
+      encrypted: isEncrypted(revision.content),
+      name: revision.name,
+      email: revision.email,
+      updatedAt: new Date().toISOString()
+    };
+    // Same as editing: a different address gets the capsule email again (unless the note has recipients)
+    if (revision.email !== note.email && (note.recipients || []).length === 0) {
+      Object.assign(changes, delivery.deliveriesChanges(note, delivery.resendLast(delivery.getDeliveries(note))));
     }
-  } else {
-    const notes = await readNotes();
-    const noteIndex = notes.findIndex(n => n.id === req.params.id);
-    
-    if (noteIndex === -1) {
-      return res.status(404).json({ error: 'Note not found' });
+
+    const updatedNote = await updateNoteWithRevision(note, changes);
+    if (revision.email && revision.email !== note.email && await queueConfirmationEmail(updatedNote, storage, { thankYou: false })) {
+      kickOutbox();
     }
+    const [presented] = await presentNotes([updatedNote]);
+    res.json(presented);
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    sendError(res, 500, 'server_error', 'Failed to restore revision');
+  }
+});
+
+// Send the links that confirm a note's addresses again - its own and its recipients' that still have to be
+// confirmed (each only goes out once a day)
+app.post('/api/notes/:id/confirmation-email', requireAuth, validateRequest(schemas.note), async (req, res) => {
+  if (!mailer) {
+    return sendError(res, 503, 'email_not_configured', EMAIL_NOT_CONFIGURED);
+  }
 
-    const oldEmail = notes[noteIndex].email;
-    notes[noteIndex].content = content.trim();
-    notes[noteIndex].name = trimmedName;
-    notes[noteIndex].email = trimmedEmail;
-    // Reset emailSent if email changed
-    if (trimmedEmail !== oldEmail) {
-      notes[noteIndex].emailSent = false;
+  try {
+    const note = await storage.notes.get(req.params.id, req.user.id);
+    if (!note) {
+      return sendError(res, 404, 'not_found', 'Note not found');
+    }
+    const emails = recipients.noteAddresses(note);
+    if (emails.length === 0) {
+      return sendError(res, 409, 'conflict', 'This note has no email address');
     }
-    notes[noteIndex].updatedAt = updatedAt;
 
-    if (await writeNotes(notes)) {
-      res.json(notes[noteIndex]);
-    } else {
-      res.status(500).json({ error: 'Failed to update note' });
+    const addresses = await loadAddresses([note]);
+    const unconfirmed = emails.filter(email => addressStatus(addresses.get(addressKey(email))) === 'unconfirmed');
+    if (unconfirmed.length === 0) {
+      return sendError(res, 409, 'conflict', emails.length === 1 && addressStatus(addresses.get(addressKey(emails[0]))) === 'unsubscribed'
+        ? `${emails[0]} has unsubscribed from these emails`
+        : `${emails.length === 1 ? `${emails[0]} is` : 'Its addresses are'} confirmed already`);
+    }
+    const due = unconfirmed.filter(email => !confirmationRecentlySent(addresses.get(addressKey(email))));
+    if (due.length === 0) {
+      return sendError(res, 429, 'too_many_requests',
+        `A confirmation link was sent to ${unconfirmed.join(', ')} less than a day ago - check that inbox (and its spam folder)`);
     }
+
+    for (const email of due) {
+      await queueConfirmationEmail(note, storage, { email });
+    }
+    kickOutbox();
+    res.status(202).json({ message: `Confirmation link sent to ${due.join(', ')}` });
+  } catch (error) {
+    console.error('Error resending confirmation email:', error);
+    sendError(res, 500, 'server_error', 'Failed to send confirmation email');
   }
 });
 
-// Delete a note
-app.delete('/api/notes/:id', async (req, res) => {
-  if (useDatabase) {
-    try {
-      const result = await dbPool.query('DELETE FROM notes WHERE id = $1 RETURNING id', [req.params.id]);
-      if (result.rows.length > 0) {
-        res.json({ message: 'Note deleted successfully' });
-      } else {
-        res.status(404).json({ error: 'Note not found' });
-      }
-    } catch (error) {
-      console.error('Error deleting note from database:', error);
-      res.status(500).json({ error: 'Failed to delete note' });
+// An encrypted note, for the link in its capsule email (public/decrypt.html). No login needed - the signed token
+// in the link stands in for it, and the content can only be read with the passphrase.
+app.get('/api/capsules/:id', validateRequest(schemas.capsule), async (req, res) => {
+  try {
+    if (!auth.verifyCapsuleToken(req.params.id, req.query.token)) {
+      return sendError(res, 403, 'invalid_link', 'This link is not valid');
     }
-  } else {
-    const notes = await readNotes();
-    const filteredNotes = notes.filter(n => n.id !== req.params.id);
-    
-    if (filteredNotes.length === notes.length) {
-      return res.status(404).json({ error: 'Note not found' });
+    const note = await storage.notes.get(req.params.id);
+    if (!note || !note.encrypted) {
+      return sendError(res, 404, 'not_found', 'Note not found');
+    }
+    if (delivery.isLocked(note)) {
+      return sendError(res, 403, 'note_sealed', sealedUntilMessage(note));
     }
 
-    if (await writeNotes(filteredNotes)) {
-      res.json({ message: 'Note deleted successfully' });
-    } else {
-      res.status(500).json({ error: 'Failed to delete note' });
+    res.json({
+      id: note.id,
+      name: noteDisplayName(note) || null,
+      inReplyTo: note.inReplyTo || null,
+      content: note.content,
+      createdAt: note.createdAt,
+      deliverAt: delivery.getDeliverAt(note).toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching capsule:', error);
+    sendError(res, 500, 'server_error', 'Failed to fetch note');
+  }
+});
+
+// Each recipient can write back to a note this many times
+const MAX_REPLIES_PER_RECIPIENT = 3;
+
+// The note a reply link is for, or null after sending the error. Replies are only open to the note's recipients
+// while the writer allows them.
+async function findRepliedNote(req, res) {
+  if (!auth.verifyReplyToken(req.params.id, req.query.email, req.query.token)) {
+    sendError(res, 403, 'invalid_link', 'This link is not valid');
+    return null;
+  }
+  const note = await storage.notes.get(req.params.id);
+  if (!note || !note.allowReplies || !recipients.isRecipient(note, req.query.email)) {
+    sendError(res, 404, 'not_found', 'This note can\'t be replied to any more');
+    return null;
+  }
+  return note;
+}
+
+// What the reply page shows about the note being answered. No login needed - the signed token in the link is
+// for one recipient of one note.
+app.get('/api/capsules/:id/reply', validateRequest(schemas.capsuleReplyLink), async (req, res) => {
+  try {
+    const note = await findRepliedNote(req, res);
+    if (!note) return;
+
+    const replies = (await storage.notes.listReplies(note.id)).filter(reply => addressKey(reply.replyFrom) === addressKey(req.query.email));
+    res.json({
+      name: note.name,
+      createdAt: note.createdAt,
+      timezone: delivery.noteTimeZone(note),
+      repliesLeft: Math.max(0, MAX_REPLIES_PER_RECIPIENT - replies.length)
+    });
+  } catch (error) {
+    console.error('Error fetching note to reply to:', error);
+    sendError(res, 500, 'server_error', 'Failed to fetch note');
+  }
+});
+
+// Write back to a note from the link in its capsule email. The reply becomes a sealed capsule in the writer's diary,
+// emailed to the writer (the note's own address, or their account's) after deliverIn - a year unless it says otherwise.
+app.post('/api/capsules/:id/reply', validateRequest(schemas.capsuleReply), async (req, res) => {
+  const { content, name, deliverIn } = req.body;
+  const from = req.query.email;
+
+  try {
+    const note = await findRepliedNote(req, res);
+    if (!note) return;
+
+    const replies = (await storage.notes.listReplies(note.id)).filter(reply => addressKey(reply.replyFrom) === addressKey(from));
+    if (replies.length >= MAX_REPLIES_PER_RECIPIENT) {
+      return sendError(res, 429, 'too_many_requests', `You have written back to this note ${MAX_REPLIES_PER_RECIPIENT} times already`);
+    }
+
+    const timeZone = delivery.noteTimeZone(note);
+    const schedule = delivery.resolveDeliveries({ deliverIn }, new Date(), timeZone);
+    if (schedule.error) {
+      return sendValidationError(res, [deliveryProblem(schedule.error)]);
     }
+    const owner = note.ownerId ? await storage.users.findById(note.ownerId) : null;
+    const now = new Date().toISOString();
+    const reply = {
+      id: crypto.randomUUID(),
+      ownerId: note.ownerId || null,
+      content,
+      author: 'Anonymous',
+      name: name || from,
+      email: note.email || (owner && owner.email) || null,
+      emailSent: false,
+      deliverAt: schedule.deliveries[0],
+      deliveries: schedule.deliveries.map(date => ({ deliverAt: date, sentAt: null, yearly: false })),
+      repeatYearly: false,
+      recipients: [],
+      allowReplies: false,
+      inReplyTo: note.id,
+      replyFrom: from,
+      timezone: note.timezone || null,
+      // A surprise for the writer until it arrives
+      sealed: true,
+      encrypted: isEncrypted(content),
+      tags: [],
+      mood: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const queued = await storage.transaction(async (tx) => {
+      await tx.notes.create(reply);
+      await recordRevision(reply, tx);
+      return queueConfirmationEmail(reply, tx, { thankYou: false });
+    });
+    console.log(`✓ ${from} wrote back to note ${note.id}`);
+    res.status(201).json({ id: reply.id, deliverAt: reply.deliverAt, timezone: timeZone });
+
+    if (queued) {
+      kickOutbox();
+    }
+  } catch (error) {
+    console.error('Error saving reply:', error);
+    sendError(res, 500, 'server_error', 'Failed to save your reply');
   }
 });
 
-// Unsent Notes API Routes
+// Email Link Routes
+// The links in emails (public/email.html) act on the address they were sent to. No login needed - the signed token
+// in the link shows the request comes from someone who got the email. Links only ever POST, so mail scanners that
+// open every link in an email don't confirm or unsubscribe anyone.
 
-// Get all unsent notes
-app.get('/api/unsent-notes', async (req, res) => {
-  if (useDatabase) {
-    try {
-      const result = await dbPool.query(`
-        SELECT 
-          id,
-          content,
-          name,
-          email,
-          created_at as "createdAt"
-        FROM unsent_notes
-        ORDER BY created_at DESC
-      `);
-      res.json(result.rows);
-    } catch (error) {
-      console.error('Error reading unsent notes from database:', error);
-      res.status(500).json({ error: 'Failed to fetch unsent notes' });
+// Confirm an address: capsules to it can go out now, even if it had unsubscribed before
+app.post('/api/email/confirm', validateRequest(schemas.emailLink), async (req, res) => {
+  const email = addressKey(req.query.email);
+
+  try {
+    if (!auth.verifyEmailToken('confirm', email, req.query.token)) {
+      return sendError(res, 403, 'invalid_link', 'This link is not valid');
     }
-  } else {
-    // Filesystem fallback - use a separate file
-    const UNSENT_NOTES_FILE = path.join(__dirname, 'unsent-notes.json');
-    try {
-      if (!fs.existsSync(UNSENT_NOTES_FILE)) {
-        fs.writeFileSync(UNSENT_NOTES_FILE, JSON.stringify([], null, 2));
-      }
-      const data = fs.readFileSync(UNSENT_NOTES_FILE, 'utf8');
-      res.json(JSON.parse(data));
-    } catch (error) {
-      console.error('Error reading unsent notes from file:', error);
-      res.status(500).json({ error: 'Failed to fetch unsent notes' });
+    const address = await storage.emailAddresses.get(email);
+    const now = new Date().toISOString();
+    await storage.emailAddresses.update(email, {
+      confirmedAt: (address && address.confirmedAt) || now,
+      unsubscribedAt: null,
+      updatedAt: now
+    });
+    console.log(`✓ ${email} confirmed their address`);
+    res.json({ email, status: 'confirmed' });
+  } catch (error) {
+    console.error('Error confirming address:', error);
+    sendError(res, 500, 'server_error', 'Failed to confirm address');
+  }
+});
+
+// Put an address on the suppression list: nothing is sent to it any more, and emails already queued are cancelled.
+// Mail apps call this directly for their unsubscribe button (List-Unsubscribe-Post), with a form body that is ignored.
+app.post('/api/email/unsubscribe', validateRequest(schemas.emailLink), async (req, res) => {
+  const email = addressKey(req.query.email);
+
+  try {
+    if (!auth.verifyEmailToken('unsubscribe', email, req.query.token)) {
+      return sendError(res, 403, 'invalid_link', 'This link is not valid');
     }
+    const address = await storage.emailAddresses.get(email);
+    if (!address || !address.unsubscribedAt) {
+      const now = new Date().toISOString();
+      await storage.emailAddresses.update(email, { unsubscribedAt: now, updatedAt: now });
+      console.log(`✓ ${email} unsubscribed`);
+    }
+    res.json({ email, status: 'unsubscribed' });
+  } catch (error) {
+    console.error('Error unsubscribing address:', error);
+    sendError(res, 500, 'server_error', 'Failed to unsubscribe');
   }
 });
 
-// Create an unsent note (anonymous - name and email are not saved)
-app.post('/api/unsent-notes', async (req, res) => {
-  const { content } = req.body;
-  
-  if (!content || content.trim() === '') {
-    return res.status(400).json({ error: 'Note content is required' });
+// Undo an unsubscribe, with the same link. Whoever can read the email can confirm the address too.
+app.post('/api/email/resubscribe', validateRequest(schemas.emailLink), async (req, res) => {
+  const email = addressKey(req.query.email);
+
+  try {
+    if (!auth.verifyEmailToken('unsubscribe', email, req.query.token)) {
+      return sendError(res, 403, 'invalid_link', 'This link is not valid');
+    }
+    const address = await storage.emailAddresses.get(email);
+    const now = new Date().toISOString();
+    await storage.emailAddresses.update(email, {
+      confirmedAt: (address && address.confirmedAt) || now,
+      unsubscribedAt: null,
+      updatedAt: now
+    });
+    console.log(`✓ ${email} subscribed again`);
+    res.json({ email, status: 'confirmed' });
+  } catch (error) {
+    console.error('Error resubscribing address:', error);
+    sendError(res, 500, 'server_error', 'Failed to subscribe again');
   }
+});
 
-  const noteId = Date.now().toString();
-  const now = new Date().toISOString();
+// Attachment uploads are sent as the raw request body, with the file name in the X-Filename header
+const readUpload = express.raw({ type: () => true, limit: attachments.MAX_ATTACHMENT_BYTES });
 
-  // Unsent notes are anonymous - don't save name or email
-  const newUnsentNote = {
-    id: noteId,
-    content: content.trim(),
-    name: null,
-    email: null,
-    createdAt: now
-  };
+// Attach a file to a note. Sealed notes still accept files - they just can't be opened until the note unlocks.
+app.post('/api/notes/:id/attachments', requireAuth, validateRequest(schemas.uploadAttachment), (req, res, next) => {
+  readUpload(req, res, err => {
+    if (err) {
+      return err.type === 'entity.too.large'
+        ? sendError(res, 413, 'too_large', `Attachments can be at most ${attachments.MAX_ATTACHMENT_BYTES / 1024 / 1024} MB`)
+        : sendError(res, 400, 'unreadable_file', 'Could not read the uploaded file');
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    const note = await storage.notes.get(req.params.id, req.user.id);
+    if (!note) {
+      return sendError(res, 404, 'not_found', 'Note not found');
+    }
 
-  if (useDatabase) {
+    let filename = req.get('X-Filename') || '';
     try {
-      await dbPool.query(
-        `INSERT INTO unsent_notes (id, content, name, email, created_at)
-         VALUES ($1, $2, NULL, NULL, $3)`,
-        [noteId, newUnsentNote.content, now]
-      );
-      res.status(201).json(newUnsentNote);
+      filename = decodeURIComponent(filename);
     } catch (error) {
-      console.error('Error saving unsent note to database:', error);
-      res.status(500).json({ error: 'Failed to save unsent note' });
+      // keep the header as it was sent
     }
-  } else {
-    const UNSENT_NOTES_FILE = path.join(__dirname, 'unsent-notes.json');
-    try {
-      if (!fs.existsSync(UNSENT_NOTES_FILE)) {
-        fs.writeFileSync(UNSENT_NOTES_FILE, JSON.stringify([], null, 2));
-      }
-      const data = fs.readFileSync(UNSENT_NOTES_FILE, 'utf8');
-      const unsentNotes = JSON.parse(data);
-      unsentNotes.push(newUnsentNote);
-      fs.writeFileSync(UNSENT_NOTES_FILE, JSON.stringify(unsentNotes, null, 2));
-      res.status(201).json(newUnsentNote);
-    } catch (error) {
-      console.error('Error saving unsent note to file:', error);
-      res.status(500).json({ error: 'Failed to save unsent note' });
+
+    const result = await attachmentStore.save({
+      note,
+      filename,
+      contentType: req.get('Content-Type'),
+      data: Buffer.isBuffer(req.body) ? req.body : null
+    });
+    if (result.error) {
+      return sendError(res, result.status, result.code, result.error);
     }
+
+    console.log(`✓ Attached ${result.attachment.filename} (${result.attachment.size} bytes) to note ${note.id}`);
+    res.status(201).json(publicAttachment(result.attachment));
+  } catch (error) {
+    console.error('Error saving attachment:', error);
+    sendError(res, 500, 'server_error', 'Failed to save attachment');
   }
 });
 
-// Delete an unsent note
-app.delete('/api/unsent-notes/:id', async (req, res) => {
-  if (useDatabase) {
-    try {
-      const result = await dbPool.query('DELETE FROM unsent_notes WHERE id = $1 RETURNING id', [req.params.id]);
-      if (result.rows.length > 0) {
-        res.json({ message: 'Unsent note deleted successfully' });
-      } else {
-        res.status(404).json({ error: 'Unsent note not found' });
-      }
-    } catch (error) {
-      console.error('Error deleting unsent note from database:', error);
-      res.status(500).json({ error: 'Failed to delete unsent note' });
+// Download an attachment
+app.get('/api/notes/:id/attachments/:attachmentId', requireAuth, validateRequest(schemas.attachment), async (req, res) => {
+  try {
+    const attachment = await storage.attachments.get(req.params.attachmentId, req.user.id);
+    if (!attachment || attachment.noteId !== req.params.id) {
+      return sendError(res, 404, 'not_found', 'Attachment not found');
+    }
+    const note = await storage.notes.get(req.params.id, req.user.id);
+    if (note && delivery.isLocked(note)) {
+      return sendError(res, 403, 'note_sealed', sealedUntilMessage(note));
     }
-  } else {
-    const UNSENT_NOTES_FILE = path.join(__dirname, 'unsent-notes.json');
-    try {
-      if (!fs.existsSync(UNSENT_NOTES_FILE)) {
-        return res.status(404).json({ error: 'Unsent note not found' });
-      }
-      const data = fs.readFileSync(UNSENT_NOTES_FILE, 'utf8');
-      const unsentNotes = JSON.parse(data);
-      const filteredNotes = unsentNotes.filter(n => n.id !== req.params.id);
-      
-      if (filteredNotes.length === unsentNotes.length) {
-        return res.status(404).json({ error: 'Unsent note not found' });
-      }
 
-      fs.writeFileSync(UNSENT_NOTES_FILE, JSON.stringify(filteredNotes, null, 2));
-      res.json({ message: 'Unsent note deleted successfully' });
-    } catch (error) {
-      console.error('Error deleting unsent note from file:', error);
-      res.status(500).json({ error: 'Failed to delete unsent note' });
+    const data = await attachmentStore.read(attachment);
+    if (!data) {
+      return sendError(res, 404, 'not_found', 'Attachment file is missing');
     }
+
+    res.set({
+      'Content-Type': attachment.contentType,
+      'Content-Length': data.length,
+      'Content-Disposition': `${attachments.isImage(attachment) ? 'inline' : 'attachment'}; filename="${attachment.filename}"`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=86400'
+    });
+    res.send(data);
+  } catch (error) {
+    console.error('Error reading attachment:', error);
+    sendError(res, 500, 'server_error', 'Failed to fetch attachment');
   }
 });
 
-// Send an unsent note (convert to regular note)
-app.post('/api/unsent-notes/:id/send', async (req, res) => {
-  if (useDatabase) {
-    try {
-      // Get the unsent note
-      const result = await dbPool.query(
-        'SELECT id, content, name, email, created_at FROM unsent_notes WHERE id = $1',
-        [req.params.id]
-      );
-
-      if (result.rows.length === 0) {
-        return res.status(404).json({ error: 'Unsent note not found' });
-      }
+// Remove an attachment from a note
+app.delete('/api/notes/:id/attachments/:attachmentId', requireAuth, validateRequest(schemas.attachment), async (req, res) => {
+  try {
+    const attachment = await storage.attachments.get(req.params.attachmentId, req.user.id);
+    if (!attachment || attachment.noteId !== req.params.id) {
+      return sendError(res, 404, 'not_found', 'Attachment not found');
+    }
+    const note = await storage.notes.get(req.params.id, req.user.id);
+    if (note && delivery.isLocked(note)) {
+      return sendError(res, 403, 'note_sealed', sealedUntilMessage(note));
+    }
+
+    await attachmentStore.remove(attachment);
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    sendError(res, 500, 'server_error', 'Failed to delete attachment');
+  }
+});
+
+// Unsent Notes API Routes
+
+// Get all unsent notes
+app.get('/api/unsent-notes', requireAuth, validateRequest(schemas.empty), async (req, res) => {
+  try {
+    const unsentNotes = await storage.unsentNotes.list({ ownerId: req.user.id });
+    res.json(unsentNotes);
+  } catch (error) {
+    console.error('Error reading unsent notes:', error);
+    sendError(res, 500, 'server_error', 'Failed to fetch unsent notes');
+  }
+});
 
-      const unsentNote = result.rows[0];
-      const now = new Date().toISOString();
+// Create an unsent note (anonymous - name and email are not saved)
+app.post('/api/unsent-notes', requireAuth, validateRequest(schemas.createUnsentNote), async (req, res) => {
+  const { content } = req.body;
+  const idempotency = readIdempotencyKey(req);
+  if (idempotency.error) {
+    return sendValidationError(res, [idempotency.error]);
+  }
 
-      // Create regular note
-      await dbPool.query(
-        `INSERT INTO notes (id, content, author, name, email, email_sent, created_at, updated_at)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-        [unsentNote.id, unsentNote.content, 'Anonymous', unsentNote.name, unsentNote.email, false, unsentNote.created_at, now]
-      );
+  // Unsent notes are anonymous - don't save name or email
+  const newUnsentNote = {
+    id: crypto.randomUUID(),
+    ownerId: req.user.id,
+    content,
+    name: null,
+    email: null,
+    createdAt: new Date().toISOString()
+  };
+  const replay = { scope: 'unsent-notes', key: idempotency.key, repo: storage.unsentNotes };
 
-      // Delete from unsent notes
-      await dbPool.query('DELETE FROM unsent_notes WHERE id = $1', [req.params.id]);
-
-      // Send confirmation email if email is provided
-      if (unsentNote.email && resend) {
-        const noteForEmail = {
-          id: unsentNote.id,
-          content: unsentNote.content,
-          name: unsentNote.name,
-          email: unsentNote.email,
-          emailSent: false,
-          createdAt: unsentNote.created_at,
-          updatedAt: now
-        };
-        sendConfirmationEmail(noteForEmail).catch(err => {
-          console.error('Failed to send confirmation email:', err);
+  try {
+    if (idempotency.key && await replayIdempotentRequest(req, res, replay)) return;
+
+    await storage.transaction(async (tx) => {
+      if (idempotency.key) {
+        await tx.idempotencyKeys.create({
+          ownerId: req.user.id,
+          scope: 'unsent-notes',
+          key: idempotency.key,
+          resourceId: newUnsentNote.id,
+          createdAt: newUnsentNote.createdAt
         });
       }
+      await tx.unsentNotes.create(newUnsentNote);
+    });
+    res.status(201).json(newUnsentNote);
+  } catch (error) {
+    if (idempotency.key && await replayIdempotentRequest(req, res, replay).catch(() => false)) return;
+    console.error('Error saving unsent note:', error);
+    sendError(res, 500, 'server_error', 'Failed to save unsent note');
+  }
+});
 
-      res.json({ message: 'Note sent successfully', note: { id: unsentNote.id, content: unsentNote.content } });
-    } catch (error) {
-      console.error('Error sending unsent note:', error);
-      res.status(500).json({ error: 'Failed to send note' });
+// Delete an unsent note - it goes to the trash like notes do
+app.delete('/api/unsent-notes/:id', requireAuth, validateRequest(schemas.unsentNote), async (req, res) => {
+  try {
+    if (await storage.unsentNotes.trash(req.params.id, req.user.id)) {
+      res.json({ message: 'Unsent note moved to trash' });
+    } else {
+      sendError(res, 404, 'not_found', 'Unsent note not found');
     }
-  } else {
-    const UNSENT_NOTES_FILE = path.join(__dirname, 'unsent-notes.json');
-    try {
-      if (!fs.existsSync(UNSENT_NOTES_FILE)) {
-        return res.status(404).json({ error: 'Unsent note not found' });
-      }
-      const data = fs.readFileSync(UNSENT_NOTES_FILE, 'utf8');
-      const unsentNotes = JSON.parse(data);
-      const unsentNote = unsentNotes.find(n => n.id === req.params.id);
-
-      if (!unsentNote) {
-        return res.status(404).json({ error: 'Unsent note not found' });
-      }
+  } catch (error) {
+    console.error('Error deleting unsent note:', error);
+    sendError(res, 500, 'server_error', 'Failed to delete unsent note');
+  }
+});
 
-      // Create regular note
-      const notes = await readNotes();
-      const now = new Date().toISOString();
-      const newNote = {
-        id: unsentNote.id,
+// Send an unsent note (convert to regular note)
+app.post('/api/unsent-notes/:id/send', requireAuth, validateRequest(schemas.sendUnsentNote), async (req, res) => {
+  try {
+    const sent = await storage.transaction(async (tx) => {
+      const unsentNote = await tx.unsentNotes.get(req.params.id, req.user.id);
+      if (!unsentNote) return null;
+      const [firstDelivery] = delivery.resolveDeliveries({}, new Date(), delivery.noteTimeZone(req.body)).deliveries;
+
+      // Create regular note. It gets an id of its own - the unsent note's id could already belong to a note.
+      const note = await tx.notes.create({
+        id: crypto.randomUUID(),
+        ownerId: unsentNote.ownerId,
         content: unsentNote.content,
         author: 'Anonymous',
         name: unsentNote.name,
         email: unsentNote.email,
         emailSent: false,
+        deliverAt: firstDelivery,
+        deliveries: [{ deliverAt: firstDelivery, sentAt: null, yearly: false }],
+        repeatYearly: false,
+        timezone: req.body.timezone || null,
+        sealed: false,
+        encrypted: false,
+        tags: [],
+        mood: null,
         createdAt: unsentNote.createdAt,
-        updatedAt: now
-      };
-      notes.push(newNote);
-      await writeNotes(notes);
+        updatedAt: new Date().toISOString()
+      });
+
+      await recordRevision(note, tx);
 
       // Delete from unsent notes
-      const filteredNotes = unsentNotes.filter(n => n.id !== req.params.id);
-      fs.writeFileSync(UNSENT_NOTES_FILE, JSON.stringify(filteredNotes, null, 2));
+      await tx.unsentNotes.delete(unsentNote.id);
 
-      // Send confirmation email if email is provided
-      if (unsentNote.email && resend) {
-        sendConfirmationEmail(newNote).catch(err => {
-          console.error('Failed to send confirmation email:', err);
-        });
-      }
+      // Queue confirmation email if email is provided
+      const queued = await queueConfirmationEmail(note, tx);
+      return { note, queued };
+    });
 
-      res.json({ message: 'Note sent successfully', note: newNote });
-    } catch (error) {
-      console.error('Error sending unsent note:', error);
-      res.status(500).json({ error: 'Failed to send note' });
+    if (!sent) {
+      return sendError(res, 404, 'not_found', 'Unsent note not found');
+    }
+
+    if (sent.queued) {
+      kickOutbox();
     }
+
+    res.json({ message: 'Note sent successfully', note: sent.note });
+  } catch (error) {
+    console.error('Error sending unsent note:', error);
+    sendError(res, 500, 'server_error', 'Failed to send note');
   }
 });
 
-// Helper function to add timeout to promises
-function withTimeout(promise, timeoutMs, errorMessage) {
-  return Promise.race([
-    promise,
-    new Promise((_, reject) => 
-      setTimeout(() => reject(new Error(errorMessage)), timeoutMs)
-    )
-  ]);
+// When something deleted at deletedAt will be purged from the trash
+function purgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
 }
 
-// Send confirmation email when a note is created with an email
-async function sendConfirmationEmail(note) {
-  if (!resend) {
-    console.log('No Resend client available for confirmation email');
-    return false;
+// Delete the attachments and history of notes that were just purged from the trash
+async function removeNoteData(noteIds) {
+  for (const noteId of noteIds) {
+    await attachmentStore.removeForNote(noteId);
+    await storage.revisions.deleteForNote(noteId);
   }
+}
 
-  if (!note.email) {
-    console.log('No email address in note for confirmation email');
-    return false;
+// Everything in the user's trash, most recently deleted first: { notes, unsentNotes, retentionDays }.
+// Each item has a `purgeAt` date, when it will be deleted for good.
+app.get('/api/trash', requireAuth, validateRequest(schemas.empty), async (req, res) => {
+  try {
+    const trashedNotes = await storage.notes.listTrash({ ownerId: req.user.id });
+    const trashedUnsentNotes = await storage.unsentNotes.listTrash({ ownerId: req.user.id });
+    const presented = await presentNotes(trashedNotes);
+
+    res.json({
+      notes: presented.map((note, index) => ({
+        ...note,
+        deletedAt: trashedNotes[index].deletedAt,
+        purgeAt: purgeDate(trashedNotes[index].deletedAt)
+      })),
+      unsentNotes: trashedUnsentNotes.map(note => ({ ...note, purgeAt: purgeDate(note.deletedAt) })),
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+  } catch (error) {
+    console.error('Error reading trash:', error);
+    sendError(res, 500, 'server_error', 'Failed to fetch trash');
   }
+});
 
+// Take a note out of the trash
+app.post('/api/trash/notes/:id/restore', requireAuth, validateRequest(schemas.note), async (req, res) => {
   try {
-    const nameDisplay = note.name ? ` ${note.name}` : '';
-    
-    console.log(`Attempting to send confirmation email to ${note.email}...`);
-    
-    const { data, error } = await resend.emails.send({
-      from: `${FROM_NAME} <${FROM_EMAIL}>`,
-      replyTo: process.env.REPLY_TO_EMAIL || 'capsulediary@gmail.com',
-      to: note.email,
-      subject: 'Thank You for Your Time Capsule Note',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-          <h2 style="color: #333;">Thank You for Leaving a Note${nameDisplay}!</h2>
-          <p style="color: #666; font-size: 16px; line-height: 1.6;">
-            Thank you for leaving a note, you will be reminded of this exactly one year from now :)
-          </p>
-          <p style="color: #999; font-size: 12px; margin-top: 30px;">
-            This email was sent automatically from your Time Capsule Diary.
-          </p>
-        </div>
-      `,
-      text: `Thank You for Leaving a Note${nameDisplay}!\n\nThank you for leaving a note, you will be reminded of this exactly one year from now :)\n\nThis email was sent automatically from your Time Capsule Diary.`
-    });
+    if (await storage.notes.restore(req.params.id, req.user.id)) {
+      res.json({ message: 'Note restored' });
+    } else {
+      sendError(res, 404, 'not_found', 'Note not found in trash');
+    }
+  } catch (error) {
+    console.error('Error restoring note:', error);
+    sendError(res, 500, 'server_error', 'Failed to restore note');
+  }
+});
 
-    if (error) {
-      console.error(`✗ Error sending confirmation email to ${note.email}:`, error);
-      return false;
+// Delete a note in the trash for good
+app.delete('/api/trash/notes/:id', requireAuth, validateRequest(schemas.note), async (req, res) => {
+  try {
+    const purged = await storage.notes.purge({ id: req.params.id, ownerId: req.user.id });
+    if (purged.length === 0) {
+      return sendError(res, 404, 'not_found', 'Note not found in trash');
     }
+    await removeNoteData(purged);
+    res.json({ message: 'Note deleted permanently' });
+  } catch (error) {
+    console.error('Error deleting note:', error);
+    sendError(res, 500, 'server_error', 'Failed to delete note');
+  }
+});
 
-    console.log(`✓ Confirmation email sent successfully to ${note.email} for note ${note.id}`);
-    return true;
+app.post('/api/trash/unsent-notes/:id/restore', requireAuth, validateRequest(schemas.unsentNote), async (req, res) => {
+  try {
+    if (await storage.unsentNotes.restore(req.params.id, req.user.id)) {
+      res.json({ message: 'Unsent note restored' });
+    } else {
+      sendError(res, 404, 'not_found', 'Unsent note not found in trash');
+    }
   } catch (error) {
-    console.error(`✗ Error sending confirmation email to ${note.email}:`, error.message || error);
-    return false;
+    console.error('Error restoring unsent note:', error);
+    sendError(res, 500, 'server_error', 'Failed to restore unsent note');
   }
-}
+});
 
-// Email sending function
-async function sendTimeCapsuleEmail(note) {
-  if (!resend) {
-    console.log('Email service not configured, skipping email send');
-    return false;
+app.delete('/api/trash/unsent-notes/:id', requireAuth, validateRequest(schemas.unsentNote), async (req, res) => {
+  try {
+    const purged = await storage.unsentNotes.purge({ id: req.params.id, ownerId: req.user.id });
+    if (purged.length === 0) {
+      return sendError(res, 404, 'not_found', 'Unsent note not found in trash');
+    }
+    res.json({ message: 'Unsent note deleted permanently' });
+  } catch (error) {
+    console.error('Error deleting unsent note:', error);
+    sendError(res, 500, 'server_error', 'Failed to delete unsent note');
   }
+});
 
-  if (!note.email) {
-    return false;
+// Empty the trash
+app.delete('/api/trash', requireAuth, validateRequest(schemas.empty), async (req, res) => {
+  try {
+    const purgedNotes = await storage.notes.purge({ ownerId: req.user.id });
+    await removeNoteData(purgedNotes);
+    const purgedUnsentNotes = await storage.unsentNotes.purge({ ownerId: req.user.id });
+    res.json({
+      message: 'Trash emptied',
+      notes: purgedNotes.length,
+      unsentNotes: purgedUnsentNotes.length
+    });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    sendError(res, 500, 'server_error', 'Failed to empty trash');
   }
+});
 
-  const oneYearAgo = new Date(note.createdAt);
-  const now = new Date();
-  const oneYearInMs = 365 * 24 * 60 * 60 * 1000;
-  const timeDiff = now - oneYearInMs;
+// Download the whole diary - notes and unsent notes, not the trash - as ?format=json (default),
+// markdown (a zip with one file per note) or csv
+app.get('/api/export', requireAuth, validateRequest(schemas.export), async (req, res) => {
+  const format = req.query.format || 'json';
 
-  // Check if note is at least 1 year old
-  if (oneYearAgo.getTime() > timeDiff) {
-    return false; // Not yet 1 year old
+  try {
+    const notes = await storage.notes.list({ ownerId: req.user.id });
+    const unsentNotes = await storage.unsentNotes.list({ ownerId: req.user.id });
+    const file = exporter.exportDiary({ notes, unsentNotes }, format);
+
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Disposition': `attachment; filename="${file.filename}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(file.body);
+  } catch (error) {
+    console.error('Error exporting diary:', error);
+    sendError(res, 500, 'server_error', 'Failed to export diary');
+  }
+});
+
+// Imports are sent as the raw request body
+const readImport = express.raw({ type: () => true, limit: IMPORT_MAX_BYTES });
+
+// Formats of uploaded files without a ?format=
+const IMPORT_CONTENT_TYPES = {
+  'application/json': 'json',
+  'application/zip': 'markdown',
+  'application/x-zip-compressed': 'markdown',
+  'text/csv': 'csv'
+};
+
+// Import an export file (?format=json|markdown|csv, or worked out from the Content-Type) into the user's diary.
+// Anything whose id is already in use is skipped, so importing the same file twice doesn't duplicate notes.
+// Returns { imported: { notes, unsentNotes }, skipped: [{ id, reason }] }.
+app.post('/api/import', requireAuth, validateRequest(schemas.import), (req, res, next) => {
+  readImport(req, res, err => {
+    if (err) {
+      return err.type === 'entity.too.large'
+        ? sendError(res, 413, 'too_large', `Import files can be at most ${IMPORT_MAX_BYTES / 1024 / 1024} MB`)
+        : sendError(res, 400, 'unreadable_file', 'Could not read the uploaded file');
+    }
+    next();
+  });
+}, async (req, res) => {
+  const format = req.query.format || IMPORT_CONTENT_TYPES[(req.get('Content-Type') || '').split(';')[0].trim()];
+  if (!format) {
+    return sendValidationError(res, [{
+      field: 'format',
+      code: 'required',
+      message: `format must be one of: ${Object.keys(exporter.EXPORT_FORMATS).join(', ')}`
+    }]);
+  }
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return sendError(res, 400, 'empty_file', 'The import file is empty');
   }
 
-  if (note.emailSent) {
-    return false; // Already sent
+  const parsed = exporter.parseImport(format, req.body, { maxBytes: IMPORT_MAX_BYTES * 5 });
+  if (parsed.error) {
+    return sendError(res, 400, 'unreadable_file', parsed.error);
   }
 
   try {
-    const nameDisplay = note.name ? ` (${note.name})` : '';
-    
-    const { data, error } = await resend.emails.send({
-      from: `${FROM_NAME} <${FROM_EMAIL}>`,
-      replyTo: process.env.REPLY_TO_EMAIL || 'capsulediary@gmail.com',
-      to: note.email,
-      subject: `Your Time Capsule Note from One Year Ago${nameDisplay}`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-          <h2 style="color: #333;">Your Time Capsule Note</h2>
-          <p style="color: #666; font-size: 14px;">You wrote this note exactly one year ago on ${new Date(note.createdAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}.</p>
-          <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <p style="white-space: pre-wrap; color: #333; line-height: 1.6;">${note.content}</p>
-          </div>
-          ${note.name ? `<p style="color: #666; font-size: 14px;">- ${note.name}</p>` : ''}
-          <p style="color: #999; font-size: 12px; margin-top: 30px;">This email was sent automatically from your Time Capsule Diary.</p>
-        </div>
-      `,
-      text: `
-Your Time Capsule Note
+    const now = new Date();
+    const skipped = [];
+
+    // Check each record, give records without a usable id a new one and drop ids seen earlier in the file.
+    // Ids end up in the diary's pages, so only letters, digits, - and _ are kept.
+    const prepare = (records, prepareRecord) => {
+      const seen = new Set();
+      const prepared = [];
+      records.forEach(record => {
+        const given = record && record.id !== undefined && record.id !== null ? String(record.id) : '';
+        const id = IMPORT_ID_PATTERN.test(given) ? given : crypto.randomUUID();
+        if (seen.has(id)) {
+          skipped.push({ id, reason: 'appears more than once in the file' });
+          return;
+        }
+        seen.add(id);
+        const result = prepareRecord(record, { id, ownerId: req.user.id, now });
+        if (result.error) {
+          skipped.push({ id, reason: result.error });
+        } else if (id.length > schemas.MAX_ID_LENGTH) {
+          skipped.push({ id, reason: `id can be at most ${schemas.MAX_ID_LENGTH} characters` });
+        } else if (result.note.content.length > schemas.MAX_CONTENT_LENGTH) {
+          skipped.push({ id, reason: `content can be at most ${schemas.MAX_CONTENT_LENGTH} characters` });
+        } else if (result.note.name && result.note.name.length > schemas.MAX_NAME_LENGTH) {
+          skipped.push({ id, reason: `name can be at most ${schemas.MAX_NAME_LENGTH} characters` });
+        } else {
+          prepared.push(result.note);
+        }
+      });
+      return prepared;
+    };
+    const notes = prepare(parsed.notes, exporter.prepareImportedNote);
+    const unsentNotes = prepare(parsed.unsentNotes, exporter.prepareImportedUnsentNote);
+
+    const imported = await storage.transaction(async (tx) => {
+      const takenNotes = new Set(await tx.notes.existingIds(notes.map(note => note.id)));
+      const takenUnsentNotes = new Set(await tx.unsentNotes.existingIds(unsentNotes.map(note => note.id)));
+      const counts = { notes: 0, unsentNotes: 0 };
+
+      for (const note of notes) {
+        if (takenNotes.has(note.id)) {
+          skipped.push({ id: note.id, reason: 'id is already in use' });
+          continue;
+        }
+        await tx.notes.create(note);
+        await recordRevision(note, tx);
+        counts.notes++;
+      }
+      for (const note of unsentNotes) {
+        if (takenUnsentNotes.has(note.id)) {
+          skipped.push({ id: note.id, reason: 'id is already in use' });
+          continue;
+        }
+        await tx.unsentNotes.create(note);
+        counts.unsentNotes++;
+      }
+      return counts;
+    });
 
-You wrote this note exactly one year ago on ${new Date(note.createdAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}.
+    console.log(`✓ Imported ${imported.notes} note(s) and ${imported.unsentNotes} unsent note(s) from ${format} (${skipped.length} skipped)`);
+    res.json({ imported, skipped });
+  } catch (error) {
+    console.error('Error importing diary:', error);
+    sendError(res, 500, 'server_error', 'Failed to import diary');
+  }
+});
 
-${note.content}
+// Link in the email of an encrypted note to public/decrypt.html, which says who wrote the note: the writer, or
+// (with for=recipient) the person who sent it to this address
+function decryptLink(note, forRecipient) {
+  const link = `${APP_URL}/decrypt.html?note=${encodeURIComponent(note.id)}&token=${auth.createCapsuleToken(note.id)}`;
+  return forRecipient ? `${link}&for=recipient` : link;
+}
 
-${note.name ? `- ${note.name}` : ''}
+// A note's name as shown in emails (see recipients.displayName). Replies without a name go by the address they
+// came from, which is shown as it is.
+function noteDisplayName(note) {
+  if (note.inReplyTo && note.name && note.name === note.replyFrom) return note.replyFrom;
+  return recipients.displayName(note.name);
+}
 
-This email was sent automatically from your Time Capsule Diary.
-      `
-    });
+// Template variables shared by the emails about a note, for one of its addresses.
+// Encrypted notes get a link to read them in the browser instead of their content, which the server can't read.
+// deliveryDate is the next delivery, and nextDeliveryDate the one after it (empty when there is none).
+// Emails to the note's recipients have forRecipient set, with the writer's name as senderName, and replies
+// (see POST /api/capsules/:id/reply) say who wrote back as repliedBy. Names are shown as noteDisplayName.
+function noteEmailVars(note, recipient = note.email) {
+  const forRecipient = recipients.isRecipient(note, recipient);
+  const timeZone = delivery.noteTimeZone(note);
+  const timeSince = delivery.describeTimeSince(note.createdAt, new Date(), timeZone);
+  const upcoming = delivery.nextDelivery(note);
+  const following = delivery.recordSent(note).deliveries.find(item => !item.sentAt);
+  return {
+    name: noteDisplayName(note),
+    email: note.email,
+    encrypted: !!note.encrypted,
+    content: note.encrypted ? '' : note.content,
+    contentHtml: note.encrypted ? '' : renderMarkdown(note.content, { plainCheckboxes: true }),
+    decryptUrl: note.encrypted ? decryptLink(note, forRecipient) : '',
+    createdDate: delivery.formatLongDate(note.createdAt, timeZone),
+    deliveryDate: delivery.formatLongDate(upcoming ? upcoming.deliverAt : delivery.getDeliverAt(note), timeZone),
+    nextDeliveryDate: following ? delivery.formatLongDate(following.deliverAt, timeZone) : '',
+    forRecipient,
+    senderName: noteDisplayName(note),
+    repliedBy: note.inReplyTo ? noteDisplayName(note) || note.replyFrom : '',
+    timeSince,
+    timeSinceTitle: timeSince.replace(/\b\w/g, c => c.toUpperCase())
+  };
+}
 
-    if (error) {
-      console.error(`Error sending time capsule email to ${note.email}:`, error);
-      return false;
-    }
+// Send confirmation email when a note is created with an email. Addresses that haven't been confirmed yet
+// get the link that confirms them (confirmUrl) instead of a plain thank-you.
+// Throws if the email could not be sent so the outbox can retry it
+async function sendConfirmationEmail(note, entry) {
+  const to = entry.recipient;
+  console.log(`Attempting to send confirmation email to ${to}...`);
 
-    console.log(`Time capsule email sent to ${note.email} for note ${note.id}`);
-    
-    // Mark email as sent
-    if (useDatabase) {
-      try {
-        await dbPool.query('UPDATE notes SET email_sent = TRUE WHERE id = $1', [note.id]);
-      } catch (error) {
-        console.error('Error updating email_sent in database:', error);
-      }
-    } else {
-      const notes = await readNotes();
-      const noteIndex = notes.findIndex(n => n.id === note.id);
-      if (noteIndex !== -1) {
-        notes[noteIndex].emailSent = true;
-        await writeNotes(notes);
+  const address = await storage.emailAddresses.get(addressKey(to));
+  await sendTemplateEmail('confirmation', to, {
+    ...noteEmailVars(note, to),
+    confirmUrl: addressStatus(address) === 'confirmed' ? '' : emailLink('confirm', to)
+  }, recipients.isRecipient(note, to) ? { from: senderFrom(note) } : {});
+
+  console.log(`✓ Confirmation email sent successfully to ${to} for note ${note.id}`);
+}
+
+// Largest total size of files attached to a capsule email - bigger sets are listed with a link to the diary instead
+const EMAIL_ATTACHMENT_MAX_BYTES = (parseFloat(process.env.EMAIL_ATTACHMENT_MAX_MB) || 10) * 1024 * 1024;
+
+function formatFileSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+// Link in a capsule email where a recipient can write back (public/reply.html)
+function replyLink(note, email) {
+  return `${APP_URL}/reply.html?note=${encodeURIComponent(note.id)}&email=${encodeURIComponent(email)}&token=${auth.createReplyToken(note.id, email)}`;
+}
+
+// Send the capsule email of a note to one of its addresses. The deliveries it is for were marked as sent when it was
+// queued, so the latest sent one is this email's deliveryDate and the next one still waiting its nextDeliveryDate.
+// Recipients of notes that allow replies get a replyUrl to write back.
+// Throws if the email could not be sent so the outbox can retry it
+async function sendTimeCapsuleEmail(note, to = note.email) {
+  const noteAttachments = (await attachmentStore.groupByNote([note.id]))[note.id];
+  const totalSize = noteAttachments.reduce((sum, attachment) => sum + attachment.size, 0);
+  const attachFiles = totalSize <= EMAIL_ATTACHMENT_MAX_BYTES;
+
+  const files = [];
+  if (attachFiles) {
+    for (const attachment of noteAttachments) {
+      const content = await attachmentStore.read(attachment);
+      if (content) {
+        files.push({ filename: attachment.filename, content, contentType: attachment.contentType });
       }
     }
-    
-    return true;
-  } catch (error) {
-    console.error(`Error sending email to ${note.email}:`, error);
-    return false;
   }
+
+  const timeZone = delivery.noteTimeZone(note);
+  const sent = delivery.getDeliveries(note).filter(item => item.sentAt).pop();
+  const upcoming = delivery.nextDelivery(note);
+  const forRecipient = recipients.isRecipient(note, to);
+  await sendTemplateEmail('capsule', to, {
+    ...noteEmailVars(note, to),
+    deliveryDate: delivery.formatLongDate(sent ? sent.deliverAt : delivery.getDeliverAt(note), timeZone),
+    nextDeliveryDate: upcoming ? delivery.formatLongDate(upcoming.deliverAt, timeZone) : '',
+    hasAttachments: noteAttachments.length > 0,
+    attachments: noteAttachments.map(attachment => ({ filename: attachment.filename, size: formatFileSize(attachment.size) })),
+    attachmentsLinked: !attachFiles,
+    // The diary is the writer's - recipients can't open it
+    diaryUrl: forRecipient ? '' : `${APP_URL}/diary.html`,
+    replyUrl: forRecipient && note.allowReplies ? replyLink(note, to) : ''
+  }, forRecipient ? { from: senderFrom(note), attachments: files } : { attachments: files });
+
+  console.log(`Time capsule email sent to ${to} for note ${note.id}`);
 }
 
-// Function to check and send emails for notes that are 1 year old
-async function checkAndSendTimeCapsuleEmails() {
-  if (!resend) {
-    console.log('Email not configured, skipping email check');
-    return; // Email not configured
-  }
-
-  console.log('Checking for time capsule emails to send...');
-  const notes = await readNotes();
-  const now = new Date();
-  const oneYearInMs = 365 * 24 * 60 * 60 * 1000;
-  let emailsSent = 0;
-  let emailsSkipped = 0;
-
-  for (const note of notes) {
-    if (note.email && !note.emailSent) {
-      const noteDate = new Date(note.createdAt);
-      const timeDiff = now - noteDate;
-      const daysOld = Math.floor(timeDiff / (1000 * 60 * 60 * 24));
-      
-      // Check if note is at least 1 year old (with 1 day tolerance)
-      if (timeDiff >= oneYearInMs - (24 * 60 * 60 * 1000)) {
-        const sent = await sendTimeCapsuleEmail(note);
-        if (sent) {
-          emailsSent++;
-        } else {
-          emailsSkipped++;
+// Why an email can't go to its recipient (see createOutbox): nothing is sent to addresses on the suppression list,
+// and capsules only go to confirmed addresses. Confirmation emails are how an address gets confirmed, so they don't wait.
+async function refuseRecipient(entry) {
+  const status = addressStatus(await storage.emailAddresses.get(addressKey(entry.recipient)));
+  if (status === 'unsubscribed') {
+    return 'The recipient unsubscribed';
+  }
+  if (status === 'unconfirmed' && entry.type !== 'confirmation') {
+    return 'The recipient hasn\'t confirmed their address';
+  }
+  return null;
+}
+
+// Outbox of queued emails - every email goes through here so failures are retried
+const outbox = createOutbox({
+  storage,
+  checkRecipient: refuseRecipient,
+  senders: {
+    confirmation: sendConfirmationEmail,
+    capsule: (note, entry) => sendTimeCapsuleEmail(note, entry.recipient)
+  }
+});
+
+// Time capsule emails are queued by a check that runs this often. Capsules are due at DELIVERY_HOUR in the writer's
+// timezone (see lib/delivery.js), so each one goes out within a few minutes of that.
+const CAPSULE_CHECK_INTERVAL_MINUTES = 5;
+
+// Scheduler runs are kept in the log for this many days
+const SCHEDULER_RUN_RETENTION_DAYS = 90;
+
+// The first check after a date
+function nextCapsuleCheck(after = new Date()) {
+  const interval = CAPSULE_CHECK_INTERVAL_MINUTES * 60 * 1000;
+  return new Date((Math.floor(new Date(after).getTime() / interval) + 1) * interval);
+}
+
+// Queue capsule emails for notes whose delivery date has arrived, then send the outbox.
+// source is 'schedule' for the regular check and 'admin' when started from the admin page.
+// A dry run changes nothing and sends nothing, it only reports what would happen.
+// Runs are recorded in the scheduler run log - scheduled ones only when they did something or failed, as most
+// of them find nothing to do - and returned:
+// { id, source, dryRun, startedAt, finishedAt, queued, sent, retrying, failed, error, report }
+async function checkAndSendTimeCapsuleEmails({ source = 'schedule', dryRun = false } = {}) {
+  const run = {
+    id: crypto.randomUUID(),
+    source,
+    dryRun,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    queued: 0,
+    sent: 0,
+    retrying: 0,
+    failed: 0,
+    error: null,
+    // What was (or would be) done: [{ action: 'queue' | 'send' | 'skip', type, noteId, recipient, deliverAt }].
+    // Skipped capsules have a reason: their address is 'unconfirmed' or 'unsubscribed'.
+    report: []
+  };
+
+  try {
+    if (!mailer && !dryRun) {
+      console.log('Email not configured, skipping email check');
+      run.error = 'Email service not configured';
+      return run;
+    }
+
+    // Scheduled checks run every few minutes, so they only log when there is something to do
+    const quiet = source === 'schedule';
+    if (!quiet) {
+      console.log(dryRun ? 'Dry run of the time capsule email check...' : 'Checking for time capsule emails to send...');
+    }
+    const now = new Date();
+    const notes = await storage.notes.listDue(now.toISOString());
+    const addresses = await loadAddresses(notes);
+
+    for (const note of notes) {
+      const deliverAt = delivery.nextDelivery(note).deliverAt;
+      const emails = recipients.noteAddresses(note);
+      const confirmed = emails.filter(email => addressStatus(addresses.get(addressKey(email))) === 'confirmed');
+      emails.filter(email => !confirmed.includes(email)).forEach(email => {
+        const status = addressStatus(addresses.get(addressKey(email)));
+        if (!quiet) {
+          console.log(`  Note ${note.id} is due, but ${email} is ${status}`);
         }
-        // Small delay to avoid overwhelming email service
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      } else {
-        console.log(`  Note ${note.id} is ${daysOld} days old (needs 365 days)`);
+        run.report.push({ action: 'skip', type: 'capsule', noteId: note.id, recipient: email, deliverAt, reason: status });
+      });
+      // Waits until one of its addresses is confirmed - or for good, once they have all unsubscribed
+      if (confirmed.length === 0) continue;
+
+      // The email to each confirmed address is queued with the deliveries it is for marked as sent. Addresses that
+      // aren't confirmed by then miss this delivery, and one that still has an email waiting doesn't get a second.
+      const queue = [];
+      for (const email of confirmed) {
+        if (!(await outbox.hasPending(note.id, 'capsule', email))) queue.push(email);
+      }
+      if (!dryRun) {
+        await storage.transaction(async (tx) => {
+          for (const email of queue) {
+            await outbox.enqueue({ type: 'capsule', note, recipient: email }, tx);
+          }
+          await tx.notes.update(note.id, delivery.recordSent(note, now));
+        });
+        queue.forEach(email => console.log(`  Queued the capsule email of note ${note.id} to ${email} (due ${deliverAt})`));
       }
+      run.queued += queue.length;
+      queue.forEach(email => run.report.push({ action: 'queue', type: 'capsule', noteId: note.id, recipient: email, deliverAt }));
     }
-  }
 
-  console.log(`Email check complete: ${emailsSent} sent, ${emailsSkipped} skipped`);
-  return { emailsSent, emailsSkipped };
+    if (dryRun) {
+      // Emails already in the outbox that the next outbox run would send
+      const due = await storage.outbox.listDue(now.toISOString());
+      due.forEach(entry => run.report.push({ action: 'send', type: entry.type, noteId: entry.noteId, recipient: entry.recipient }));
+      console.log(`Dry run complete: ${run.queued} would be queued, ${due.length} would be sent from the outbox`);
+      return run;
+    }
+
+    const result = await outbox.processDue();
+    Object.assign(run, { sent: result.sent, retrying: result.retrying, failed: result.failed });
+    if (!quiet || run.queued + run.sent + run.retrying + run.failed > 0) {
+      console.log(`Email check complete: ${run.queued} queued, ${run.sent} sent, ${run.retrying} retrying, ${run.failed} failed`);
+    }
+    return run;
+  } catch (error) {
+    run.error = error.message || String(error);
+    throw error;
+  } finally {
+    run.finishedAt = new Date().toISOString();
+    const idle = source === 'schedule' && !run.error && run.queued + run.sent + run.retrying + run.failed === 0;
+    if (!idle) {
+      await storage.schedulerRuns.create(run).catch(error => {
+        console.error('✗ Could not record scheduler run:', error.message || error);
+      });
+    }
+  }
 }
 
-// Schedule email check to run daily at 9:00 AM
+// Run the email check every CAPSULE_CHECK_INTERVAL_MINUTES
 // Cron format: minute hour day month day-of-week
-cron.schedule('0 9 * * *', () => {
-  console.log('Running scheduled time capsule email check...');
-  checkAndSendTimeCapsuleEmails();
+cron.schedule(`*/${CAPSULE_CHECK_INTERVAL_MINUTES} * * * *`, () => {
+  if (!mailer) return;
+  checkAndSendTimeCapsuleEmails().catch(error => {
+    console.error('Scheduled email check failed:', error);
+  });
 });
 
-// Test endpoint to verify email configuration
-app.get('/api/test-email', async (req, res) => {
-  if (!resend) {
-    return res.status(503).json({ 
-      error: 'Email service not configured',
-      message: 'Set RESEND_API_KEY and FROM_EMAIL environment variables to enable email functionality. Get your API key at https://resend.com/api-keys'
-    });
+// Delete notes that have been in the trash for longer than TRASH_RETENTION_DAYS
+async function purgeTrash() {
+  const before = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const purgedNotes = await storage.notes.purge({ before });
+  await removeNoteData(purgedNotes);
+  const purgedUnsentNotes = await storage.unsentNotes.purge({ before });
+
+  if (purgedNotes.length > 0 || purgedUnsentNotes.length > 0) {
+    console.log(`✓ Trash purged: ${purgedNotes.length} note(s) and ${purgedUnsentNotes.length} unsent note(s) older than ${TRASH_RETENTION_DAYS} days`);
   }
+  return { notes: purgedNotes.length, unsentNotes: purgedUnsentNotes.length };
+}
 
-  const testEmail = req.query.email;
-  if (!testEmail) {
-    return res.status(400).json({ 
-      error: 'No email address provided',
-      message: 'Provide an email address as a query parameter: /api/test-email?email=your@email.com'
-    });
+// Empty old trash and forget old idempotency keys and scheduler runs every night at 3:00 AM
+cron.schedule('0 3 * * *', () => {
+  purgeTrash().catch(error => {
+    console.error('Trash purge failed:', error);
+  });
+  storage.idempotencyKeys.purge({ before: new Date(Date.now() - IDEMPOTENCY_KEY_MAX_AGE_MS).toISOString() }).catch(error => {
+    console.error('Idempotency key purge failed:', error);
+  });
+  const runsBefore = new Date(Date.now() - SCHEDULER_RUN_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  storage.schedulerRuns.purge({ before: runsBefore }).catch(error => {
+    console.error('Scheduler run purge failed:', error);
+  });
+});
+
+// Work through the outbox every minute so failed emails are retried
+cron.schedule('* * * * *', () => {
+  if (!mailer) return;
+  outbox.processDue().catch(error => {
+    console.error('Outbox run failed:', error);
+  });
+});
+
+const EMAIL_NOT_CONFIGURED = 'Email service not configured. Set RESEND_API_KEY (or MAIL_TRANSPORT=smtp|file|console) and FROM_EMAIL environment variables to enable email functionality. Get your API key at https://resend.com/api-keys';
+
+// Admin Routes - the admin page (admin.html) and the older test endpoints, for the accounts in ADMIN_EMAILS
+
+// Test endpoint to verify email configuration: /api/test-email?email=your@email.com
+app.get('/api/test-email', requireAuth, requireAdmin, validateRequest(schemas.testEmail), async (req, res) => {
+  if (!mailer) {
+    return sendError(res, 503, 'email_not_configured', EMAIL_NOT_CONFIGURED);
   }
 
-  try {
-    const { data, error } = await resend.emails.send({
-      from: `${FROM_NAME} <${FROM_EMAIL}>`,
-      replyTo: process.env.REPLY_TO_EMAIL || 'capsulediary@gmail.com',
-      to: testEmail,
-      subject: 'Time Capsule Diary - Email Test',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-          <h2 style="color: #333;">✓ Email Test Successful!</h2>
-          <p style="color: #666;">Your email configuration is working correctly.</p>
-          <p style="color: #666;">The Time Capsule Diary email feature is ready to send your notes after one year.</p>
-          <p style="color: #999; font-size: 12px; margin-top: 30px;">This is a test email sent at ${new Date().toLocaleString()}.</p>
-        </div>
-      `,
-      text: `Email Test Successful!\n\nYour email configuration is working correctly.\n\nThe Time Capsule Diary email feature is ready to send your notes after one year.\n\nThis is a test email sent at ${new Date().toLocaleString()}.`
-    });
+  const testEmail = req.query.email;
 
-    if (error) {
-      console.error('Email test failed:', error);
-      return res.status(500).json({ 
-        error: 'Failed to send test email',
-        message: error.message || 'Unknown error',
-        details: 'Check your Resend API key and FROM_EMAIL configuration.'
-      });
-    }
+  try {
+    const sent = await sendTemplateEmail('test', testEmail, { sentAt: new Date().toLocaleString() });
 
     res.json({ 
       success: true, 
       message: `Test email sent successfully to ${testEmail}`,
+      transport: mailer.name,
+      messageId: sent.id,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
     console.error('Email test failed:', error);
-    res.status(500).json({ 
-      error: 'Failed to send test email',
-      message: error.message,
-      details: 'Check your Resend API key and network connection.'
-    });
+    sendError(res, 500, 'email_failed',
+      `Failed to send test email: ${error.message}. Check your ${mailer.description} configuration, FROM_EMAIL and network connection.`);
   }
 });
 
 // Test endpoint to manually trigger email check (for testing)
-app.post('/api/test-email-check', async (req, res) => {
-  if (!resend) {
-    return res.status(503).json({ 
-      error: 'Email service not configured',
-      message: 'Set RESEND_API_KEY and FROM_EMAIL environment variables to enable email functionality.'
-    });
+app.post('/api/test-email-check', requireAuth, requireAdmin, validateRequest(schemas.empty), async (req, res) => {
+  if (!mailer) {
+    return sendError(res, 503, 'email_not_configured', EMAIL_NOT_CONFIGURED);
   }
 
   try {
     console.log('Manual email check triggered via API...');
-    const result = await checkAndSendTimeCapsuleEmails();
+    const result = await checkAndSendTimeCapsuleEmails({ source: 'admin' });
     res.json({ 
       success: true, 
       message: 'Email check completed',
       timestamp: new Date().toISOString(),
+      result,
       note: 'Check server logs for details about emails sent.'
     });
   } catch (error) {
     console.error('Email check failed:', error);
-    res.status(500).json({ 
-      error: 'Email check failed',
-      message: error.message
-    });
+    sendError(res, 500, 'email_failed', `Email check failed: ${error.message}`);
   }
 });
 
-// Endpoint to get email status and configuration info
-app.get('/api/email-status', async (req, res) => {
+// Endpoint to get email status and configuration info, for every user's notes
+app.get('/api/email-status', requireAuth, requireAdmin, validateRequest(schemas.empty), async (req, res) => {
   try {
-    const notes = await readNotes();
-    const notesWithEmail = notes.filter(n => n.email);
-    const notesPendingEmail = notes.filter(n => n.email && !n.emailSent);
-    const notesEmailSent = notes.filter(n => n.email && n.emailSent);
+    const notes = await storage.notes.list();
+    // Notes addressed to anyone - the writer or other recipients
+    const notesWithEmail = notes.filter(n => recipients.noteAddresses(n).length > 0);
+    const notesPendingEmail = notesWithEmail.filter(n => !n.emailSent);
+    const notesEmailSent = notesWithEmail.filter(n => n.emailSent);
+    const deliveries = notesWithEmail.flatMap(n => delivery.getDeliveries(n));
 
     res.json({
-      configured: resend !== null,
-      emailService: 'Resend',
+      configured: mailer !== null,
+      emailService: mailer ? mailer.description : 'Not configured',
       fromAddress: FROM_EMAIL || 'Not configured',
       stats: {
         totalNotes: notes.length,
         notesWithEmail: notesWithEmail.length,
         emailsPending: notesPendingEmail.length,
-        emailsSent: notesEmailSent.length
+        emailsSent: notesEmailSent.length,
+        deliveriesPending: deliveries.filter(item => !item.sentAt).length,
+        deliveriesSent: deliveries.filter(item => item.sentAt).length
       },
-      pendingNotes: notesPendingEmail.map(n => ({
-        id: n.id,
-        email: n.email,
-        createdAt: n.createdAt,
-        daysOld: Math.floor((new Date() - new Date(n.createdAt)) / (1000 * 60 * 60 * 24)),
-        readyToSend: (new Date() - new Date(n.createdAt)) >= (365 * 24 * 60 * 60 * 1000) - (24 * 60 * 60 * 1000)
-      }))
+      pendingNotes: notesPendingEmail.map(n => {
+        const next = delivery.nextDelivery(n);
+        return {
+          id: n.id,
+          email: n.email,
+          recipients: n.recipients || [],
+          createdAt: n.createdAt,
+          deliverAt: next ? next.deliverAt : delivery.getDeliverAt(n).toISOString(),
+          deliveries: delivery.getDeliveries(n),
+          repeatYearly: !!n.repeatYearly,
+          daysOld: Math.floor((new Date() - new Date(n.createdAt)) / (1000 * 60 * 60 * 24)),
+          readyToSend: !!next && new Date(next.deliverAt) <= new Date()
+        };
+      })
     });
   } catch (error) {
     console.error('Error getting email status:', error);
-    res.status(500).json({ error: 'Failed to get email status' });
+    sendError(res, 500, 'server_error', 'Failed to get email status');
+  }
+});
+
+// Outbox entries as the admin page sees them
+function adminEmail(entry) {
+  return {
+    id: entry.id,
+    type: entry.type,
+    noteId: entry.noteId,
+    recipient: entry.recipient,
+    status: entry.status,
+    attempts: entry.attempts,
+    lastError: entry.lastError,
+    nextAttemptAt: entry.nextAttemptAt,
+    sentAt: entry.sentAt,
+    createdAt: entry.createdAt
+  };
+}
+
+// How the email pipeline is set up and how many emails are in each state
+app.get('/api/admin/status', requireAuth, requireAdmin, validateRequest(schemas.empty), async (req, res) => {
+  try {
+    res.json({
+      email: {
+        configured: mailer !== null,
+        service: mailer ? mailer.description : null,
+        fromAddress: FROM_EMAIL
+      },
+      scheduler: {
+        capsuleCheckIntervalMinutes: CAPSULE_CHECK_INTERVAL_MINUTES,
+        nextCapsuleCheckAt: nextCapsuleCheck().toISOString(),
+        deliveryHour: delivery.DELIVERY_HOUR,
+        defaultTimezone: delivery.DEFAULT_TIMEZONE,
+        maxAttempts: MAX_ATTEMPTS
+      },
+      emails: await storage.outbox.countByStatus(),
+      unsubscribedAddresses: await storage.emailAddresses.countUnsubscribed()
+    });
+  } catch (error) {
+    console.error('Error reading admin status:', error);
+    sendError(res, 500, 'server_error', 'Failed to get status');
+  }
+});
+
+// Every note of every user with a capsule email still to go out, soonest first, with when the next one should be
+// sent: its next attempt when it's in the outbox, otherwise the first check on or after its delivery date.
+// A capsule email that failed for good has no nextSendAt until it is retried, and neither does one whose
+// addresses aren't confirmed (see recipients).
+app.get('/api/admin/capsules', requireAuth, requireAdmin, validateRequest(schemas.empty), async (req, res) => {
+  try {
+    const now = new Date();
+    const notes = (await storage.notes.list()).filter(note => recipients.noteAddresses(note).length > 0 && !note.emailSent);
+    const addresses = await loadAddresses(notes);
+    const capsules = [];
+
+    for (const note of notes) {
+      // Where the next delivery is up to. An email that was sent was for an earlier delivery.
+      const next = delivery.nextDelivery(note);
+      const deliverAt = new Date(next ? next.deliverAt : delivery.getDeliverAt(note));
+      const due = deliverAt <= now;
+      const latest = (await storage.outbox.listForNote(note.id)).find(entry => entry.type === 'capsule');
+      const capsule = latest && latest.status !== 'sent' ? latest : null;
+      let nextSendAt = nextCapsuleCheck(due ? now : new Date(deliverAt.getTime() - 1));
+      if (capsule && capsule.status === 'pending') {
+        nextSendAt = new Date(Math.max(new Date(capsule.nextAttemptAt).getTime(), now.getTime()));
+      } else if (capsule && capsule.status === 'failed') {
+        nextSendAt = null;
+      }
+      // Each address the capsule goes to, with its emailStatus. It is only sent once one of them is confirmed.
+      const to = recipients.noteAddresses(note).map(email => ({ email, status: addressStatus(addresses.get(addressKey(email))) }));
+      if (!to.some(address => address.status === 'confirmed')) {
+        nextSendAt = null;
+      }
+
+      capsules.push({
+        noteId: note.id,
+        ownerId: note.ownerId,
+        recipients: to,
+        sealed: !!note.sealed,
+        createdAt: note.createdAt,
+        deliverAt: deliverAt.toISOString(),
+        deliveries: delivery.getDeliveries(note),
+        repeatYearly: !!note.repeatYearly,
+        timezone: delivery.noteTimeZone(note),
+        due,
+        nextSendAt: nextSendAt && nextSendAt.toISOString(),
+        email: capsule && adminEmail(capsule)
+      });
+    }
+
+    capsules.sort((a, b) => new Date(a.deliverAt) - new Date(b.deliverAt));
+    res.json(capsules);
+  } catch (error) {
+    console.error('Error reading capsules:', error);
+    sendError(res, 500, 'server_error', 'Failed to fetch capsules');
+  }
+});
+
+// The latest outbox emails of every user (?status=pending|sent|failed|cancelled, ?limit=)
+app.get('/api/admin/emails', requireAuth, requireAdmin, validateRequest(schemas.adminEmails), async (req, res) => {
+  try {
+    const emails = await storage.outbox.list({ status: req.query.status || undefined, limit: req.query.limit || 100 });
+    res.json(emails.map(adminEmail));
+  } catch (error) {
+    console.error('Error reading emails:', error);
+    sendError(res, 500, 'server_error', 'Failed to fetch emails');
+  }
+});
+
+// Try a failed (or waiting) email again now, with a fresh set of attempts
+app.post('/api/admin/emails/:id/retry', requireAuth, requireAdmin, validateRequest(schemas.adminEmail), async (req, res) => {
+  if (!mailer) {
+    return sendError(res, 503, 'email_not_configured', EMAIL_NOT_CONFIGURED);
+  }
+
+  try {
+    const entry = await storage.outbox.get(req.params.id);
+    if (!entry) {
+      return sendError(res, 404, 'not_found', 'Email not found');
+    }
+    if (entry.status === 'sent') {
+      return sendError(res, 409, 'conflict', 'This email has been sent already - send its note again instead');
+    }
+
+    const now = new Date().toISOString();
+    const updated = await storage.outbox.update(entry.id, { status: 'pending', attempts: 0, nextAttemptAt: now, updatedAt: now });
+    console.log(`✓ ${req.user.email} retried the ${entry.type} email to ${entry.recipient}`);
+    kickOutbox();
+    res.json(adminEmail(updated));
+  } catch (error) {
+    console.error('Error retrying email:', error);
+    sendError(res, 500, 'server_error', 'Failed to retry email');
+  }
+});
+
+// Send a note's capsule email now - before its delivery date, or again if it went out already - to each of its
+// confirmed addresses. Responds with the queued emails.
+// Sealed notes are the exception: nobody gets to read them before their date. Nor does an admin get to
+// email an address that hasn't been confirmed or has unsubscribed.
+app.post('/api/admin/notes/:id/send', requireAuth, requireAdmin, validateRequest(schemas.note), async (req, res) => {
+  if (!mailer) {
+    return sendError(res, 503, 'email_not_configured', EMAIL_NOT_CONFIGURED);
+  }
+
+  try {
+    const note = await storage.notes.get(req.params.id);
+    if (!note) {
+      return sendError(res, 404, 'not_found', 'Note not found');
+    }
+    const emails = recipients.noteAddresses(note);
+    if (emails.length === 0) {
+      return sendError(res, 409, 'conflict', 'This note has no email address to send it to');
+    }
+    if (delivery.isLocked(note)) {
+      return sendError(res, 403, 'note_sealed', `${sealedUntilMessage(note)} and can't be sent early`);
+    }
+    const addresses = await loadAddresses([note]);
+    const confirmed = emails.filter(email => addressStatus(addresses.get(addressKey(email))) === 'confirmed');
+    if (confirmed.length === 0) {
+      const status = addressStatus(addresses.get(addressKey(emails[0])));
+      return sendError(res, 409, 'conflict', emails.length > 1
+        ? 'None of this note\'s addresses are confirmed'
+        : status === 'unsubscribed' ? `${emails[0]} has unsubscribed from these emails` : `${emails[0]} hasn't been confirmed yet`);
+    }
+
+    const entries = await storage.transaction(async (tx) => {
+      // The next delivery counts as sent - a note that was delivered already is just sent again
+      if (!note.emailSent) {
+        await tx.notes.update(note.id, delivery.recordSent(note));
+      }
+      const now = new Date().toISOString();
+      const queued = [];
+      for (const email of confirmed) {
+        const pending = (await tx.outbox.listForNote(note.id))
+          .find(e => e.type === 'capsule' && e.status === 'pending' && addressKey(e.recipient) === addressKey(email));
+        queued.push(pending
+          ? await tx.outbox.update(pending.id, { attempts: 0, nextAttemptAt: now, updatedAt: now })
+          : await outbox.enqueue({ type: 'capsule', note, recipient: email }, tx));
+      }
+      return queued;
+    });
+    console.log(`✓ ${req.user.email} sent the capsule email of note ${note.id} to ${confirmed.join(', ')}`);
+    kickOutbox();
+    res.status(202).json(entries.map(adminEmail));
+  } catch (error) {
+    console.error('Error sending capsule email:', error);
+    sendError(res, 500, 'server_error', 'Failed to send capsule email');
+  }
+});
+
+// Run the time capsule email check now. With { "dryRun": true } nothing is queued or sent -
+// the response reports what would have been.
+app.post('/api/admin/scheduler/run', requireAuth, requireAdmin, validateRequest(schemas.schedulerRun), async (req, res) => {
+  const dryRun = req.body.dryRun === true;
+  if (!mailer && !dryRun) {
+    return sendError(res, 503, 'email_not_configured', EMAIL_NOT_CONFIGURED);
+  }
+
+  try {
+    console.log(`${dryRun ? 'Dry run of the' : 'Manual'} email check started by ${req.user.email}...`);
+    res.json(await checkAndSendTimeCapsuleEmails({ source: 'admin', dryRun }));
+  } catch (error) {
+    console.error('Email check failed:', error);
+    sendError(res, 500, 'email_failed', `Email check failed: ${error.message}`);
+  }
+});
+
+// Past email checks, newest first (?limit=)
+app.get('/api/admin/scheduler/runs', requireAuth, requireAdmin, validateRequest(schemas.schedulerRuns), async (req, res) => {
+  try {
+    res.json(await storage.schedulerRuns.list({ limit: req.query.limit || 50 }));
+  } catch (error) {
+    console.error('Error reading scheduler runs:', error);
+    sendError(res, 500, 'server_error', 'Failed to fetch scheduler runs');
+  }
+});
+
+// Anything else under /api doesn't exist
+app.use('/api', (req, res) => {
+  sendError(res, 404, 'not_found', `No such API route: ${req.method} ${req.originalUrl.split('?')[0]}`);
+});
+
+// Errors thrown before a route could answer - mostly request bodies that aren't valid JSON
+app.use((err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'invalid_json', 'The request body is not valid JSON');
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 413, 'too_large', 'The request body is too large');
+  }
+  if (err.status >= 400 && err.status < 500) {
+    return sendError(res, err.status, 'bad_request', err.message);
   }
+  console.error('Unhandled error:', err);
+  sendError(res, 500, 'server_error', 'Something went wrong');
 });
 
 // Static files (must be after API routes)
 app.use(express.static('public'));
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Time Capsule Diary server running at http://localhost:${PORT}`);
-  console.log('\nEmail Testing Endpoints:');
-  console.log(`  - Test email config: http://localhost:${PORT}/api/test-email?email=your@email.com`);
-  console.log(`  - Check email status: http://localhost:${PORT}/api/email-status`);
-  console.log(`  - Manual email check: POST http://localhost:${PORT}/api/test-email-check`);
-  console.log('');
-});
+// Start server once storage is ready (runs schema migrations, creates database tables / data files)
+storage.init()
+  .then(() => {
+    console.log(`✓ Storage initialized (${storage.name})`);
+    startServer();
+  })
+  .catch(error => {
+    console.error('✗ Error initializing storage:', error.message || error);
+    process.exit(1);
+  });
 
+function startServer() {
+  app.listen(PORT, () => {
+    console.log(`Time Capsule Diary server running at http://localhost:${PORT}`);
+    console.log('\nEmail Testing Endpoints:');
+    console.log(`  - Test email config: http://localhost:${PORT}/api/test-email?email=your@email.com`);
+    console.log(`  - Check email status: http://localhost:${PORT}/api/email-status`);
+    console.log(`  - Manual email check: POST http://localhost:${PORT}/api/test-email-check`);
+    console.log('');
+  });
+}
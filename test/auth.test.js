@@ -0,0 +1,24 @@
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const auth = require('../lib/auth');
+
+function sign(value) {
+  return crypto.createHmac('sha256', process.env.SESSION_SECRET).update(value).digest('base64url');
+}
+
+test('session tokens round-trip', () => {
+  assert.strictEqual(auth.readSessionToken(auth.createSessionToken('user-1')), 'user-1');
+});
+
+test('email link tokens are not sessions', () => {
+  const token = auth.createEmailToken('confirm', 'x@y.com');
+  assert.strictEqual(auth.readSessionToken(`confirm:x@y.com.${token}`), null);
+});
+
+test('sessions without a numeric expiry are refused', () => {
+  const encodedId = Buffer.from('user-1').toString('base64url');
+  assert.strictEqual(auth.readSessionToken(`${encodedId}.never.${sign(`session:${encodedId}.never`)}`), null);
+});
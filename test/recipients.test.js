@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { displayName } = require('../lib/recipients');
+const { createTemplateRenderer } = require('../lib/templates');
+
+const HOSTILE_NAME = '<a href="https://evil.example">{{{unsubscribeUrl}}}</a>\r\nBcc: someone@example.com';
+
+test('displayName keeps letters, digits, spaces and simple punctuation', () => {
+  assert.strictEqual(displayName('Zoë O’Brien-Smith Jr.'), 'Zoë O’Brien-Smith Jr.');
+  assert.strictEqual(displayName(HOSTILE_NAME), 'a hrefhttpsevil.exampleunsubscribeUrla Bcc someoneexample.com');
+  assert.strictEqual(displayName(null), '');
+});
+
+test('emails to recipients show a hostile name without links, markup or tags', () => {
+  const templates = createTemplateRenderer();
+  const name = displayName(HOSTILE_NAME);
+  const vars = {
+    name,
+    senderName: name,
+    forRecipient: true,
+    content: 'Hello',
+    contentHtml: '<p>Hello</p>',
+    createdDate: 'January 1, 2025',
+    deliveryDate: 'January 1, 2026',
+    timeSince: 'one year ago',
+    timeSinceTitle: 'One Year Ago',
+    confirmUrl: 'https://diary.example/email.html?action=confirm',
+    replyUrl: 'https://diary.example/reply.html',
+    unsubscribeUrl: 'https://diary.example/email.html?action=unsubscribe'
+  };
+
+  for (const email of ['confirmation', 'capsule']) {
+    const { subject, html, text } = templates.renderEmail(email, vars);
+    for (const part of [subject, html, text]) {
+      assert.ok(!part.includes('evil.example"'), `${email}: link in the name`);
+      assert.ok(!part.includes('https://evil'), `${email}: link in the name`);
+      assert.ok(!part.includes('{{'), `${email}: template tag in the name`);
+      assert.ok(!/\r|Bcc:/.test(part), `${email}: header in the name`);
+    }
+    assert.ok(text.includes(name), `${email}: name missing`);
+  }
+});
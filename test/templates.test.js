@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderString, escapeHtml } = require('../lib/templates');
+
+test('values containing tags come out literally', () => {
+  const vars = { name: '{{{link}}}', note: '{{link}} {{#link}}x{{/link}}', link: '<a href="https://evil.example">' };
+  assert.strictEqual(renderString('{{name}} / {{{note}}}', vars, escapeHtml), '{{{link}}} / {{link}} {{#link}}x{{/link}}');
+});
+
+test('values inside sections and lists come out literally', () => {
+  const vars = { show: true, items: [{ label: '{{secret}}' }], secret: 'leaked' };
+  const template = '{{#show}}{{{items.length}}}{{/show}}{{#items}}[{{label}}]{{/items}}{{^secret}}no{{/secret}}';
+  assert.strictEqual(renderString(template, vars, escapeHtml), '1[{{secret}}]');
+});
+
+test('sections on their own line leave no empty line', () => {
+  const template = 'a\n{{#on}}\nb\n{{/on}}\n{{^on}}\nc\n{{/on}}\nd';
+  assert.strictEqual(renderString(template, { on: true }, escapeHtml), 'a\nb\nd');
+  assert.strictEqual(renderString(template, { on: false }, escapeHtml), 'a\nc\nd');
+});